@@ -0,0 +1,70 @@
+/**
+ * Enemy Ability Deck - one deck per enemy type
+ * Every enemy of a type acts on the card its deck drew this round.
+ * Deck state is { cards, remaining, current, needsShuffle }.
+ */
+
+const AbilityDeck = {
+  /**
+   * Create a shuffled deck for an enemy type
+   */
+  createDeck(enemyType) {
+    const cards = GameData.enemyAbilities[enemyType] || [];
+    return {
+      cards,
+      remaining: ModifierDeck.shuffle(cards),
+      current: null,
+      needsShuffle: false,
+    };
+  },
+
+  /**
+   * Return every card to the deck and shuffle it
+   * Mutates deckState.remaining and clears needsShuffle
+   */
+  reshuffle(deckState) {
+    deckState.remaining = ModifierDeck.shuffle(deckState.cards);
+    deckState.needsShuffle = false;
+  },
+
+  /**
+   * Draw this round's card, reshuffling first if the deck ran out
+   * Mutates deckState.remaining, current and needsShuffle
+   */
+  draw(deckState) {
+    if (deckState.remaining.length === 0) {
+      this.reshuffle(deckState);
+    }
+
+    deckState.current = deckState.remaining.pop() || null;
+    if (deckState.current?.shuffle) {
+      deckState.needsShuffle = true;
+    }
+
+    return deckState.current;
+  },
+
+  /**
+   * Get the card an enemy acts on this round
+   */
+  getCurrentCard(enemy, state) {
+    return state.enemyDecks?.[enemy.type]?.current || null;
+  },
+
+  /**
+   * Get an enemy with this round's card applied to its stats
+   */
+  applyCard(enemy, state) {
+    const card = this.getCurrentCard(enemy, state);
+    if (!card) return enemy;
+
+    return {
+      ...enemy,
+      move: Math.max(0, enemy.move + card.move),
+      attack: Math.max(0, enemy.attack + card.attack),
+      range: Math.max(1, enemy.range + (card.range || 0)),
+      pierce: card.pierce || 0,
+      attackEffects: [...enemy.attackEffects, ...(card.effects || [])],
+    };
+  },
+};
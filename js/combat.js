@@ -18,7 +18,7 @@ const Combat = {
   },
 
   /**
-   * Check if a hex is walkable (not occupied, not a wall, in bounds)
+   * Check if a hex is walkable (not occupied, not a wall or obstacle, in bounds)
    */
   isWalkable(hex, state) {
     const room = this.getRoom(state);
@@ -26,9 +26,8 @@ const Combat = {
     // Check bounds
     if (!this.isInBounds(hex, room)) return false;
 
-    // Check walls
-    const wallSet = new Set((room.walls || []).map(w => HexMath.key(w)));
-    if (wallSet.has(HexMath.key(hex))) return false;
+    // Check walls and obstacles
+    if (RoomLayout.blocksMovement(room, hex)) return false;
 
     // Check character positions
     for (const char of state.characters) {
@@ -71,37 +70,426 @@ const Combat = {
     return state.characters.find(c => HexMath.equals(c.position, hex));
   },
 
+  /**
+   * Get trap tokens in the current room
+   */
+  getTraps(state) {
+    return state.traps?.[state.currentRoom] || [];
+  },
+
+  /**
+   * Get trap at position
+   */
+  getTrapAt(hex, state) {
+    return this.getTraps(state).find(t => HexMath.equals(t.position, hex));
+  },
+
+  /**
+   * Movement points spent entering a hex in the current room
+   */
+  getMoveCost(hex, state) {
+    return RoomLayout.getMoveCost(this.getRoom(state), hex);
+  },
+
+  /**
+   * Get the movement mode of a card move action or enemy template
+   */
+  getMoveMode(source) {
+    if (source?.flying) return CONSTANTS.MOVE_MODES.FLYING;
+    if (source?.jump) return CONSTANTS.MOVE_MODES.JUMP;
+    return CONSTANTS.MOVE_MODES.NORMAL;
+  },
+
+  /**
+   * Get the enemy level for a room: the scenario level plus the room's bonus
+   * and the difficulty's offset
+   */
+  getEnemyLevel(state, roomIndex) {
+    const room = GameData.rooms[roomIndex];
+    const level = state.scenarioLevel + (room.levelBonus || 0) + this.getDifficulty(state).levelOffset;
+    return Math.max(0, Math.min(CONSTANTS.GAME.MAX_SCENARIO_LEVEL, level));
+  },
+
+  /**
+   * Get the difficulty level the mission is played on
+   */
+  getDifficulty(state) {
+    return GameData.difficulties[state.difficulty] || GameData.difficulties[CONSTANTS.GAME.DEFAULT_DIFFICULTY];
+  },
+
+  /**
+   * Look up an enemy template's stat line for its rank and level
+   * @returns {Object} { maxHealth, move, attack, shield }
+   */
+  getEnemyStats(template, level, elite = false) {
+    const rank = elite ? CONSTANTS.ENEMY_RANKS.ELITE : CONSTANTS.ENEMY_RANKS.NORMAL;
+    return template.stats[rank][level];
+  },
+
+  /**
+   * Create an enemy unit from a room's enemy entry
+   * @param {Object} enemyDef - { type, position, elite }
+   * @param {string} id - Unit id
+   * @param {number} level - Enemy level for the room
+   */
+  createEnemy(enemyDef, id, level) {
+    const template = GameData.enemies[enemyDef.type];
+    const stats = this.getEnemyStats(template, level, enemyDef.elite);
+    const enemy = {
+      id,
+      type: enemyDef.type,
+      name: template.name,
+      elite: Boolean(enemyDef.elite),
+      health: stats.maxHealth,
+      maxHealth: stats.maxHealth,
+      position: { ...enemyDef.position },
+      move: stats.move,
+      moveMode: this.getMoveMode(template),
+      attack: stats.attack,
+      range: template.range,
+      ai: template.ai,
+      shield: stats.shield,
+      retaliate: template.retaliate || 0,
+      curse: template.curse || 0,
+      attackEffects: template.attackEffects || [],
+      immunities: template.immunities || [],
+      effects: [],
+    };
+
+    if (template.boss) {
+      Object.assign(enemy, { boss: true, phase: 0, pendingScripts: [], summoned: 0 });
+    }
+
+    return enemy;
+  },
+
+  /**
+   * Get the phase a boss is in at a given health: the last phase whose
+   * threshold its health has fallen to
+   * @returns {number} Index into the template's phases
+   */
+  getBossPhase(boss, health) {
+    const phases = GameData.enemies[boss.type].phases || [];
+    let phase = 0;
+    phases.forEach((def, index) => {
+      if (health <= def.threshold * boss.maxHealth) phase = index;
+    });
+    return phase;
+  },
+
+  /**
+   * Get the changes to a boss entering a later phase: the stat bonuses and
+   * entry scripts of every phase it passes through
+   */
+  getBossPhaseChanges(boss, phase) {
+    const passed = GameData.enemies[boss.type].phases.slice(boss.phase + 1, phase + 1);
+    return {
+      phase,
+      move: boss.move + passed.reduce((sum, def) => sum + (def.move || 0), 0),
+      attack: boss.attack + passed.reduce((sum, def) => sum + (def.attack || 0), 0),
+      shield: boss.shield + passed.reduce((sum, def) => sum + (def.shield || 0), 0),
+      pendingScripts: [...boss.pendingScripts, ...passed.flatMap(def => def.onEnter || [])],
+    };
+  },
+
+  /**
+   * Check if a boss acts a second time each round in its current phase
+   */
+  hasExtraTurn(enemy) {
+    return Boolean(enemy.boss && GameData.enemies[enemy.type].phases[enemy.phase]?.extraTurn);
+  },
+
+  /**
+   * Check if a unit can cross a hex without stopping. Jumping and flying
+   * units pass over units, obstacles and impassable terrain, but not walls.
+   */
+  canPassThrough(hex, state, mode = CONSTANTS.MOVE_MODES.NORMAL) {
+    if (mode === CONSTANTS.MOVE_MODES.NORMAL) return this.isWalkable(hex, state);
+
+    const room = this.getRoom(state);
+    return this.isInBounds(hex, room) && !RoomLayout.isWall(room, hex);
+  },
+
+  /**
+   * Movement points spent entering a hex; jumping and flying ignore difficult terrain
+   */
+  getStepCost(hex, state, mode = CONSTANTS.MOVE_MODES.NORMAL) {
+    return mode === CONSTANTS.MOVE_MODES.NORMAL ? this.getMoveCost(hex, state) : 1;
+  },
+
+  /**
+   * Check if entering a hex would hurt (a trap or hazardous terrain).
+   * Flying units are never hurt.
+   */
+  isDangerous(hex, state, mode = CONSTANTS.MOVE_MODES.NORMAL) {
+    if (mode === CONSTANTS.MOVE_MODES.FLYING) return false;
+    return Boolean(this.getTrapAt(hex, state)) || RoomLayout.isHazardous(this.getRoom(state), hex);
+  },
+
+  /**
+   * Get the hexes along a path whose traps and terrain affect the mover:
+   * every hex when walking, the landing hex when jumping, none when flying
+   */
+  getEnteredHexes(path, mode = CONSTANTS.MOVE_MODES.NORMAL) {
+    if (mode === CONSTANTS.MOVE_MODES.FLYING) return [];
+    if (mode === CONSTANTS.MOVE_MODES.JUMP) return path.length > 1 ? [path[path.length - 1]] : [];
+    return path.slice(1);
+  },
+
+  /**
+   * Get empty adjacent hexes where a trap can be set
+   */
+  getTrapHexes(unit, state) {
+    return HexMath.neighbors(unit.position)
+      .filter(hex => this.isWalkable(hex, state) && !this.getTrapAt(hex, state));
+  },
+
+  /**
+   * Find the path a unit takes to a destination. Walking units step around
+   * traps and hazardous terrain when the detour fits in their movement
+   * (the destination itself may be either).
+   * @param {number} maxCost - Movement available for the detour
+   */
+  findMovePath(unit, targetHex, state, mode = CONSTANTS.MOVE_MODES.NORMAL, maxCost = Infinity) {
+    const isWalkable = (hex) => this.isWalkable(hex, state);
+    const canPass = (hex) => this.canPassThrough(hex, state, mode);
+    const getCost = (hex) => this.getStepCost(hex, state, mode);
+
+    if (mode === CONSTANTS.MOVE_MODES.NORMAL) {
+      const avoidingDanger = Pathfinding.findPath(
+        unit.position,
+        targetHex,
+        isWalkable,
+        getCost,
+        (hex) => canPass(hex) && !this.isDangerous(hex, state)
+      );
+      if (avoidingDanger.length > 0 && this.getPathCost(avoidingDanger, state, mode) <= maxCost) {
+        return avoidingDanger;
+      }
+    }
+
+    return Pathfinding.findPath(unit.position, targetHex, isWalkable, getCost, canPass);
+  },
+
+  /**
+   * Find a move path that passes through waypoints in order
+   * @param {Array} waypoints - Hexes to visit before the destination
+   * @returns {Array} The full path, or empty if any leg is unreachable
+   */
+  findMovePathVia(unit, waypoints, targetHex, state, mode = CONSTANTS.MOVE_MODES.NORMAL, maxCost = Infinity) {
+    let path = [unit.position];
+
+    for (const point of [...waypoints, targetHex]) {
+      const from = path[path.length - 1];
+      const budget = maxCost - this.getPathCost(path, state, mode);
+      const leg = this.findMovePath({ position: from }, point, state, mode, budget);
+      if (leg.length === 0) return [];
+      path = path.concat(leg.slice(1));
+    }
+
+    return path;
+  },
+
+  /**
+   * Total movement spent following a path (the first hex is the start)
+   */
+  getPathCost(path, state, mode = CONSTANTS.MOVE_MODES.NORMAL) {
+    return path.slice(1).reduce((sum, hex) => sum + this.getStepCost(hex, state, mode), 0);
+  },
+
+  /**
+   * Get the traps and hazardous terrain a path would trigger
+   * @returns {Array} Array of { hex, type } with type 'trap' or 'hazard'
+   */
+  getPathWarnings(path, state, mode = CONSTANTS.MOVE_MODES.NORMAL) {
+    const room = this.getRoom(state);
+    const warnings = [];
+
+    for (const hex of this.getEnteredHexes(path, mode)) {
+      if (this.getTrapAt(hex, state)) warnings.push({ hex, type: 'trap' });
+      if (RoomLayout.isHazardous(room, hex)) warnings.push({ hex, type: 'hazard' });
+    }
+
+    return warnings;
+  },
+
+  /**
+   * Count the distinct cheapest routes between two hexes
+   */
+  countShortestPaths(from, targetHex, state, mode = CONSTANTS.MOVE_MODES.NORMAL) {
+    return Pathfinding.countShortestPaths(
+      from,
+      targetHex,
+      (hex) => this.isWalkable(hex, state),
+      (hex) => this.getStepCost(hex, state, mode),
+      (hex) => this.canPassThrough(hex, state, mode)
+    );
+  },
+
+  /**
+   * Resolve traps and hazardous terrain along the hexes a unit entered,
+   * in order. Stops early if the unit is killed.
+   * @param {Object} unit - The moving unit
+   * @param {Array} hexes - Hexes entered (excluding the starting hex)
+   * @param {Object} store - Game store
+   */
+  enterHexes(unit, hexes, store) {
+    const room = this.getRoom(store.state);
+
+    for (const hex of hexes) {
+      const trap = this.getTrapAt(hex, store.state);
+      if (trap && !this.triggerTrap(unit, trap, store)) return;
+
+      if (RoomLayout.isHazardous(room, hex) && !this.triggerHazard(unit, hex, store)) return;
+    }
+  },
+
+  /**
+   * Deal trap or terrain damage to a unit. This is not an attack, so
+   * shields don't reduce it.
+   * @returns {Object|null} { current, name, isEnemy, newHealth }, or null if the unit is gone
+   */
+  damageFromBoard(unit, damage, store) {
+    const current = StatusEffects.getUnit(unit.id, store.state);
+    if (!current) return null;
+
+    const isEnemy = store.state.enemies.some(e => e.id === unit.id);
+    if (isEnemy) {
+      store.damageEnemy(unit.id, damage, { ignoreShield: true });
+    } else {
+      store.damageCharacter(unit.id, damage, { ignoreShield: true });
+    }
+
+    // Read health back from the store (defeated enemies are removed)
+    const newHealth = Math.max(0, StatusEffects.getUnit(unit.id, store.state)?.health ?? 0);
+
+    return { current, name: current.shortName || current.name, isEnemy, newHealth };
+  },
+
+  /**
+   * Spring a trap on a unit: removes the trap and applies its damage/effects
+   * @returns {boolean} Whether the unit survived
+   */
+  triggerTrap(unit, trap, store) {
+    store.removeTrap(trap.id);
+
+    const result = this.damageFromBoard(unit, trap.damage, store);
+    if (!result) return false;
+
+    const { current, name, isEnemy, newHealth } = result;
+
+    EventBus.emit('trap:triggered', {
+      name,
+      damage: trap.damage,
+      newHealth,
+      maxHealth: current.maxHealth,
+      position: trap.position,
+    });
+
+    if (newHealth <= 0) {
+      EventBus.emit('unit:defeated', { name, isCharacter: !isEnemy });
+      return false;
+    }
+
+    StatusEffects.applyAll(current, trap.effects, store.state, store, 'Trap');
+
+    return true;
+  },
+
+  /**
+   * Damage a unit entering hazardous terrain
+   * @returns {boolean} Whether the unit survived
+   */
+  triggerHazard(unit, hex, store) {
+    const damage = CONSTANTS.GAME.HAZARD_DAMAGE;
+    const result = this.damageFromBoard(unit, damage, store);
+    if (!result) return false;
+
+    const { current, name, isEnemy, newHealth } = result;
+
+    EventBus.emit('terrain:hazard', {
+      name,
+      damage,
+      newHealth,
+      maxHealth: current.maxHealth,
+      position: hex,
+    });
+
+    if (newHealth <= 0) {
+      EventBus.emit('unit:defeated', { name, isCharacter: !isEnemy });
+      return false;
+    }
+
+    return true;
+  },
+
   /**
    * Get reachable hexes for movement
+   * @param {string} mode - One of CONSTANTS.MOVE_MODES
    */
-  getReachableHexes(unit, moveRange, state) {
+  getReachableHexes(unit, moveRange, state, mode = CONSTANTS.MOVE_MODES.NORMAL) {
     return Pathfinding.getReachableHexes(
       unit.position,
       moveRange,
-      (hex) => this.isWalkable(hex, state)
+      (hex) => this.isWalkable(hex, state),
+      (hex) => this.getStepCost(hex, state, mode),
+      (hex) => this.canPassThrough(hex, state, mode)
     );
   },
 
   /**
-   * Get valid attack targets for a unit
+   * Check if a hex blocks line of sight (walls, and units when enabled)
+   */
+  blocksLineOfSight(hex, state) {
+    if (RoomLayout.blocksSight(this.getRoom(state), hex)) return true;
+
+    if (CONSTANTS.GAME.UNITS_BLOCK_LOS) {
+      return Boolean(this.getCharacterAt(hex, state) || this.getEnemyAt(hex, state));
+    }
+
+    return false;
+  },
+
+  /**
+   * Check line of sight between two hexes in the current room
+   */
+  hasLineOfSight(from, to, state) {
+    return HexMath.hasLineOfSight(from, to, (hex) => this.blocksLineOfSight(hex, state));
+  },
+
+  /**
+   * Get valid attack targets for a unit (in range and line of sight)
    */
   getAttackTargets(unit, range, state, targetType = CONSTANTS.UNIT_TYPES.ENEMY) {
+    return this.getTargetsInRange(unit, range, state, targetType)
+      .filter(t => this.hasLineOfSight(unit.position, t.hex, state));
+  },
+
+  /**
+   * Get targets that are in range but hidden behind walls
+   */
+  getBlockedTargets(unit, range, state, targetType = CONSTANTS.UNIT_TYPES.ENEMY) {
+    return this.getTargetsInRange(unit, range, state, targetType)
+      .filter(t => !this.hasLineOfSight(unit.position, t.hex, state));
+  },
+
+  /**
+   * Get targetable units within range, ignoring line of sight
+   */
+  getTargetsInRange(unit, range, state, targetType) {
     const targets = [];
     const hexesInRange = HexMath.hexesInRange(unit.position, range);
 
     for (const hex of hexesInRange) {
       if (HexMath.equals(hex, unit.position)) continue;
 
-      if (targetType === CONSTANTS.UNIT_TYPES.ENEMY && this.hasEnemy(hex, state)) {
-        targets.push({
-          hex,
-          unit: this.getEnemyAt(hex, state),
-        });
-      } else if (targetType === CONSTANTS.UNIT_TYPES.CHARACTER && this.hasCharacter(hex, state)) {
-        targets.push({
-          hex,
-          unit: this.getCharacterAt(hex, state),
-        });
+      const target = targetType === CONSTANTS.UNIT_TYPES.ENEMY
+        ? this.getEnemyAt(hex, state)
+        : this.getCharacterAt(hex, state);
+
+      // Invisible units cannot be targeted
+      if (target && StatusEffects.isTargetable(target)) {
+        targets.push({ hex, unit: target });
       }
     }
 
@@ -109,17 +497,19 @@ const Combat = {
   },
 
   /**
-   * Get valid heal targets (allies in range)
+   * Get valid heal targets (allies in range and line of sight)
+   * @param {boolean} blocked - Return the allies hidden behind walls instead
    */
-  getHealTargets(unit, range, state) {
+  getHealTargets(unit, range, state, blocked = false) {
     const targets = [];
 
     for (const char of state.characters) {
       if (char.health <= 0) continue;
-      if (char.health >= char.maxHealth) continue; // Already full health
+      if (!this.needsHealing(char)) continue;
 
       const distance = HexMath.distance(unit.position, char.position);
-      if (distance <= range) {
+      const visible = char.id === unit.id || this.hasLineOfSight(unit.position, char.position, state);
+      if (distance <= range && visible !== blocked) {
         targets.push({
           hex: char.position,
           unit: char,
@@ -130,11 +520,155 @@ const Combat = {
     return targets;
   },
 
+  /**
+   * Check if a heal would do anything for a character (restore health or cure)
+   */
+  needsHealing(char) {
+    return char.health < char.maxHealth || StatusEffects.isCurable(char);
+  },
+
+  /**
+   * Get valid buff targets (living allies other than the caster)
+   */
+  getBuffTargets(unit, state) {
+    return state.characters
+      .filter(c => c.health > 0 && c.id !== unit.id)
+      .map(c => ({ hex: c.position, unit: c }));
+  },
+
+  /**
+   * Number of end-of-round ticks an effect needs to last through the
+   * unit's next turn: 1 if the unit has yet to act this round, otherwise 2
+   */
+  getEffectDuration(unitId, state) {
+    const { turnOrder, currentTurnIndex } = state.turn;
+    const actsLater = turnOrder.some((entry, index) => index > currentTurnIndex && entry.unit.id === unitId);
+    return actsLater ? 1 : 2;
+  },
+
+  /**
+   * Get the combined effect of a character's pending attack buffs
+   * @returns {Object} { bonusDamage, advantage }
+   */
+  getAttackBuffs(attacker, state) {
+    const char = state.characters.find(c => c.id === attacker.id);
+    const effects = char?.effects || [];
+
+    return {
+      bonusDamage: effects
+        .filter(e => e.type === CONSTANTS.EFFECT_TYPES.ATTACK_BONUS)
+        .reduce((sum, e) => sum + e.value, 0),
+      advantage: effects.some(e => e.type === CONSTANTS.EFFECT_TYPES.ADVANTAGE),
+    };
+  },
+
+  /**
+   * Remove the attacker's attack buffs and return their combined effect
+   * @returns {Object} { bonusDamage, advantage }
+   */
+  consumeAttackBuffs(attacker, state, store) {
+    const buffs = this.getAttackBuffs(attacker, state);
+
+    if (buffs.bonusDamage > 0 || buffs.advantage) {
+      store.removeEffects(attacker.id, [CONSTANTS.EFFECT_TYPES.ATTACK_BONUS, CONSTANTS.EFFECT_TYPES.ADVANTAGE]);
+    }
+
+    return buffs;
+  },
+
+  /**
+   * Determine how the attack modifier is drawn. Advantage and disadvantage
+   * cancel each other out.
+   * @param {Object} attacker - The attacking unit
+   * @param {Object} target - The target unit
+   * @param {boolean} advantage - Whether the attacker has an advantage source
+   * @param {number} range - Range of the attack action
+   * @returns {string} One of CONSTANTS.DRAW_MODES
+   */
+  getDrawMode(attacker, target, advantage, range = 1) {
+    // Ranged attacks against an adjacent target suffer disadvantage, as do muddled attackers
+    const disadvantage = (range > 1 && HexMath.distance(attacker.position, target.position) === 1)
+      || StatusEffects.has(attacker, CONSTANTS.STATUS_EFFECTS.MUDDLE);
+
+    if (advantage && !disadvantage) return CONSTANTS.DRAW_MODES.ADVANTAGE;
+    if (disadvantage && !advantage) return CONSTANTS.DRAW_MODES.DISADVANTAGE;
+    return CONSTANTS.DRAW_MODES.NORMAL;
+  },
+
+  /**
+   * Predict an attack without resolving it: the modifier cards that could
+   * be applied, the damage each would deal and what AOE or push would add
+   * @param {Object} options - Same options as executeAttack, plus aoeRadius,
+   *   maxAdditional and push
+   * @returns {Object} { baseDamage, bonusDamage, conditionBonus, advantage, mode,
+   *   shield, outcomes, expectedDamage, killChance, aoeTargets, push }
+   */
+  forecastAttack(attacker, target, damage, state, options = {}) {
+    const { range = 1, pierce = 0, aoeRadius = 0, maxAdditional = null, push = 0 } = options;
+    const attackerState = StatusEffects.getUnit(attacker.id, state) || attacker;
+    const targetState = StatusEffects.getUnit(target.id, state) || target;
+
+    const isAttackerCharacter = state.characters.some(c => c.id === attacker.id);
+    const buffs = isAttackerCharacter
+      ? this.getAttackBuffs(attacker, state)
+      : { bonusDamage: 0, advantage: false };
+    const conditionBonus = StatusEffects.getDamageBonus(targetState);
+    const baseDamage = damage + buffs.bonusDamage + conditionBonus;
+
+    const deckId = isAttackerCharacter ? attacker.id : 'monster';
+    const advantage = buffs.advantage || StatusEffects.has(attackerState, CONSTANTS.STATUS_EFFECTS.STRENGTHEN);
+    const mode = this.getDrawMode(attackerState, targetState, advantage, range);
+    const shield = Math.max(0, (targetState.shield || 0) - pierce);
+
+    const outcomes = ModifierDeck.getOutcomes(state.modifierDecks[deckId], baseDamage, mode)
+      .map(({ modifier, chance }) => {
+        const dealt = Math.min(targetState.health, Math.max(0, ModifierDeck.apply(baseDamage, modifier) - shield));
+        return { label: modifier.label, chance, damage: dealt };
+      })
+      .sort((a, b) => b.chance - a.chance);
+
+    const survives = outcomes
+      .filter(o => o.damage < targetState.health)
+      .reduce((sum, o) => sum + o.chance, 0);
+
+    let pushResult = null;
+    if (push > 0) {
+      const { position, enteredHexes } = this.getPushResult(attackerState, targetState, push, state);
+      pushResult = {
+        position,
+        distance: enteredHexes.length,
+        warnings: this.getPathWarnings([targetState.position, ...enteredHexes], state),
+      };
+    }
+
+    return {
+      baseDamage,
+      bonusDamage: buffs.bonusDamage,
+      conditionBonus,
+      advantage,
+      mode,
+      shield,
+      outcomes,
+      expectedDamage: outcomes.reduce((sum, o) => sum + o.chance * o.damage, 0),
+      killChance: 1 - survives,
+      aoeTargets: aoeRadius > 0 ? this.getAoeTargets(targetState, aoeRadius, state, maxAdditional) : [],
+      push: pushResult,
+    };
+  },
+
   /**
    * Execute a move action
+   * @param {Object} options - Move options
+   * @param {string} options.mode - One of CONSTANTS.MOVE_MODES; enemies default to their own
+   * @param {Array} options.path - Route chosen by the player (defaults to the best path)
+   * @param {number} options.maxCost - Movement available, used to pick the default path
+   * @returns {Array} The path taken, for animating the move
    */
-  executeMove(unit, targetHex, state, store) {
+  executeMove(unit, targetHex, state, store, options = {}) {
+    const { mode = unit.moveMode || CONSTANTS.MOVE_MODES.NORMAL, maxCost = Infinity } = options;
     const unitType = state.characters.find(c => c.id === unit.id) ? CONSTANTS.UNIT_TYPES.CHARACTER : CONSTANTS.UNIT_TYPES.ENEMY;
+    const current = StatusEffects.getUnit(unit.id, state) || unit;
+    const path = options.path || this.findMovePath(current, targetHex, state, mode, maxCost);
 
     if (unitType === CONSTANTS.UNIT_TYPES.CHARACTER) {
       const characters = state.characters.map(c => {
@@ -155,6 +689,10 @@ const Combat = {
       store.setState({ enemies });
       EventBus.emit('unit:moved', { name: unit.name, position: targetHex });
     }
+
+    this.enterHexes(unit, this.getEnteredHexes(path, mode), store);
+
+    return path;
   },
 
   /**
@@ -164,92 +702,159 @@ const Combat = {
    * @param {number} damage - Damage to deal
    * @param {Object} state - Current game state
    * @param {Object} store - Game store
-   * @param {boolean} stun - Whether to stun the target
+   * @param {Object} options - Attack options
+   * @param {Array} options.effects - Conditions applied to the target on hit
+   * @param {number} options.range - Range of the attack action
+   * @param {number} options.curse - CURSE cards to shuffle into the target side's deck
+   * @param {number} options.pierce - Shield points the attack ignores
    */
-  executeAttack(attacker, target, damage, state, store, stun = false) {
+  executeAttack(attacker, target, damage, state, store, options = {}) {
+    const { effects = [], range = 1, curse = 0, pierce = 0 } = options;
     const isTargetEnemy = state.enemies.some(e => e.id === target.id);
 
-    // Draw attack modifier
+    // Conditions are read from the current unit state, not turn order snapshots
+    const attackerState = StatusEffects.getUnit(attacker.id, state) || attacker;
+    const targetState = StatusEffects.getUnit(target.id, state) || target;
+
+    // Characters spend their pending attack buffs on this attack
     const isAttackerCharacter = state.characters.some(c => c.id === attacker.id);
+    const buffs = isAttackerCharacter
+      ? this.consumeAttackBuffs(attacker, state, store)
+      : { bonusDamage: 0, advantage: false };
+    const bonusDamage = buffs.bonusDamage + StatusEffects.getDamageBonus(targetState);
+    const baseDamage = damage + bonusDamage;
+
+    // Draw attack modifier (two cards with advantage or disadvantage)
     const deckId = isAttackerCharacter ? attacker.id : 'monster';
-    const modifier = store.drawModifier(deckId);
-
-    // Apply modifier to base damage
-    let finalDamage;
-    if (modifier.type === 'null') {
-      finalDamage = 0;
-    } else if (modifier.type === 'multiply') {
-      finalDamage = damage * modifier.value;
-    } else {
-      finalDamage = Math.max(0, damage + modifier.value);
-    }
+    const advantage = buffs.advantage || StatusEffects.has(attackerState, CONSTANTS.STATUS_EFFECTS.STRENGTHEN);
+    const mode = this.getDrawMode(attackerState, target, advantage, range);
+    const { modifier, drawn } = store.drawModifier(deckId, baseDamage, mode);
+
+    const finalDamage = ModifierDeck.apply(baseDamage, modifier);
 
     EventBus.emit('attack:modifier', {
       attackerName: attacker.shortName || attacker.name,
       modifier,
-      baseDamage: damage,
+      drawn,
+      mode,
+      baseDamage,
+      bonusDamage,
       finalDamage,
       position: target.position,
     });
 
-    if (isTargetEnemy) {
-      store.damageEnemy(target.id, finalDamage);
-      const newHealth = Math.max(0, target.health - finalDamage);
-      EventBus.emit('unit:damaged', {
-        attackerName: attacker.shortName || attacker.name,
-        targetName: target.name,
-        damage: finalDamage,
-        newHealth,
-        maxHealth: target.maxHealth,
-        targetId: target.id,
-        position: target.position,
-        attackerPosition: attacker.position,
-      });
+    // Shields absorb part of the damage (minus pierce); immunity negates it
+    const { absorbed, dealt } = isTargetEnemy
+      ? store.damageEnemy(target.id, finalDamage, { pierce })
+      : store.damageCharacter(target.id, finalDamage, { pierce });
 
-      if (newHealth <= 0) {
-        EventBus.emit('unit:defeated', { name: target.name, isCharacter: false });
-      } else if (stun) {
-        store.stunEnemy(target.id);
-        EventBus.emit('unit:stunned', { name: target.name });
-      }
+    // Defeated enemies are removed from the store
+    const targetAfter = StatusEffects.getUnit(target.id, store.state);
+    const newHealth = targetAfter ? targetAfter.health : 0;
+    const targetName = target.shortName || target.name;
+
+    EventBus.emit('unit:damaged', {
+      attackerName: attacker.shortName || attacker.name,
+      targetName,
+      damage: dealt,
+      absorbed,
+      pierce,
+      newHealth,
+      maxHealth: target.maxHealth,
+      targetId: target.id,
+      position: target.position,
+      attackerPosition: attacker.position,
+    });
+
+    if (newHealth <= 0) {
+      EventBus.emit('unit:defeated', { name: targetName, isCharacter: !isTargetEnemy });
     } else {
-      store.damageCharacter(target.id, finalDamage);
-      const char = state.characters.find(c => c.id === target.id);
-      const newHealth = Math.max(0, char.health - finalDamage);
-      EventBus.emit('unit:damaged', {
-        attackerName: attacker.name,
-        targetName: target.shortName,
-        damage: finalDamage,
-        newHealth,
-        maxHealth: target.maxHealth,
-        targetId: target.id,
-        position: target.position,
-        attackerPosition: attacker.position,
-      });
+      StatusEffects.applyAll(targetState, effects, store.state, store, attacker.shortName || attacker.name);
+    }
 
-      if (newHealth <= 0) {
-        EventBus.emit('unit:defeated', { name: target.shortName, isCharacter: true });
-      }
+    // Curses go into the monster deck, or the targeted character's own deck
+    if (curse > 0) {
+      store.addModifierCard(isTargetEnemy ? 'monster' : target.id, CONSTANTS.MODIFIER_CARDS.CURSE, curse);
+    }
+
+    // A surviving target strikes back at attackers within its retaliate range
+    if (newHealth > 0) {
+      this.executeRetaliate(target, attacker, store);
     }
 
     return { damage: finalDamage };
   },
 
   /**
-   * Execute an AOE attack action - hits primary target and nearby enemies
-   * @param {Object} attacker - The attacking unit
-   * @param {Object} primaryTarget - The primary target unit
-   * @param {number} damage - Damage to deal
-   * @param {number} aoeRadius - Radius of AOE effect
-   * @param {Object} state - Current game state
-   * @param {Object} store - Game store
-   * @param {number} maxAdditional - Max additional targets (for "hit 2 adjacent" style)
+   * Get a unit's Retaliate value (innate plus active effects) and range
+   * @returns {Object} { value, range }
    */
-  executeAoeAttack(attacker, primaryTarget, damage, aoeRadius, state, store, maxAdditional = null) {
-    // Hit primary target first
-    this.executeAttack(attacker, primaryTarget, damage, state, store);
+  getRetaliate(unit) {
+    const effects = (unit.effects || []).filter(e => e.type === CONSTANTS.EFFECT_TYPES.RETALIATE);
+    return {
+      value: (unit.retaliate || 0) + effects.reduce((sum, e) => sum + e.value, 0),
+      range: Math.max(unit.retaliateRange || 1, ...effects.map(e => e.range || 1)),
+    };
+  },
 
-    // Find additional targets within AOE radius of primary target
+  /**
+   * Deal retaliation damage to an attacker. Retaliation is not an attack,
+   * so no modifier is drawn and shields don't reduce it.
+   */
+  executeRetaliate(retaliator, attacker, store) {
+    const state = store.state;
+    const source = StatusEffects.getUnit(retaliator.id, state);
+    const victim = StatusEffects.getUnit(attacker.id, state);
+    if (!source || !victim || victim.health <= 0) return;
+
+    const { value, range } = this.getRetaliate(source);
+    if (value <= 0 || HexMath.distance(source.position, victim.position) > range) return;
+
+    const isVictimEnemy = state.enemies.some(e => e.id === attacker.id);
+    const { dealt } = isVictimEnemy
+      ? store.damageEnemy(attacker.id, value, { ignoreShield: true })
+      : store.damageCharacter(attacker.id, value, { ignoreShield: true });
+
+    const victimAfter = StatusEffects.getUnit(attacker.id, store.state);
+    const newHealth = victimAfter ? victimAfter.health : 0;
+    const victimName = victim.shortName || victim.name;
+
+    EventBus.emit('unit:retaliated', {
+      retaliatorName: source.shortName || source.name,
+      targetName: victimName,
+      damage: dealt,
+      newHealth,
+      maxHealth: victim.maxHealth,
+      position: victim.position,
+      sourcePosition: source.position,
+    });
+
+    if (newHealth <= 0) {
+      EventBus.emit('unit:defeated', { name: victimName, isCharacter: !isVictimEnemy });
+    }
+  },
+
+  /**
+   * Give a unit Retaliate until the end of the round
+   */
+  grantRetaliate(target, value, store) {
+    if (!value) return;
+
+    store.addEffect(target.id, {
+      type: CONSTANTS.EFFECT_TYPES.RETALIATE,
+      value,
+      range: 1,
+      duration: 1,
+      source: target.shortName || target.name,
+    });
+    EventBus.emit('retaliate:granted', { name: target.shortName || target.name, value, position: target.position });
+  },
+
+  /**
+   * Get the enemies an AOE attack hits besides its primary target
+   * @param {number} maxAdditional - Max additional targets, or null for all in radius
+   */
+  getAoeTargets(primaryTarget, aoeRadius, state, maxAdditional = null) {
     const additionalTargets = state.enemies.filter(enemy => {
       if (enemy.id === primaryTarget.id) return false;
       if (enemy.health <= 0) return false;
@@ -258,17 +863,40 @@ const Combat = {
     });
 
     // Limit additional targets if specified (for "hit 2 adjacent" style)
-    const targetsToHit = maxAdditional !== null
+    return maxAdditional !== null
       ? additionalTargets.slice(0, maxAdditional)
       : additionalTargets;
+  },
+
+  /**
+   * Execute an AOE attack action - hits primary target and nearby enemies
+   * @param {Object} attacker - The attacking unit
+   * @param {Object} primaryTarget - The primary target unit
+   * @param {number} damage - Damage to deal
+   * @param {number} aoeRadius - Radius of AOE effect
+   * @param {Object} state - Current game state
+   * @param {Object} store - Game store
+   * @param {number} maxAdditional - Max additional targets (for "hit 2 adjacent" style)
+   * @param {Object} options - Attack options passed to each executeAttack
+   */
+  executeAoeAttack(attacker, primaryTarget, damage, aoeRadius, state, store, maxAdditional = null, options = {}) {
+    // Find additional targets within AOE radius of primary target
+    const targetsToHit = this.getAoeTargets(primaryTarget, aoeRadius, state, maxAdditional);
+
+    // Hit primary target first
+    this.executeAttack(attacker, primaryTarget, damage, state, store, options);
 
     // Hit additional targets
     for (const target of targetsToHit) {
       // Re-fetch state as it may have changed
       const currentState = store.state;
+
+      // Stop if retaliation defeated the attacker
+      if (!StatusEffects.getUnit(attacker.id, currentState) || currentState.phase === CONSTANTS.PHASES.DEFEAT) break;
+
       const currentTarget = currentState.enemies.find(e => e.id === target.id);
       if (currentTarget && currentTarget.health > 0) {
-        this.executeAttack(attacker, currentTarget, damage, currentState, store);
+        this.executeAttack(attacker, currentTarget, damage, currentState, store, options);
       }
     }
 
@@ -281,9 +909,12 @@ const Combat = {
    * Execute a heal action
    */
   executeHeal(healer, target, amount, state, store) {
-    const characters = state.characters.map(c => {
+    // Read from the store so consecutive heals (AOE) don't overwrite each other
+    const characters = store.state.characters.map(c => {
       if (c.id === target.id) {
-        const newHealth = Math.min(c.maxHealth, c.health + amount);
+        // A poisoned target is cured instead of restoring health
+        const healAmount = StatusEffects.has(c, CONSTANTS.STATUS_EFFECTS.POISON) ? 0 : amount;
+        const newHealth = Math.min(c.maxHealth, c.health + healAmount);
         const actualHeal = newHealth - c.health;
         EventBus.emit('unit:healed', {
           healerName: healer.shortName,
@@ -300,31 +931,26 @@ const Combat = {
     });
 
     store.setState({ characters });
+    StatusEffects.cure(target, store);
   },
 
   /**
-   * Execute a push action - pushes target away from pusher
-   * @param {Object} pusher - The unit doing the pushing
-   * @param {Object} target - The target to push
-   * @param {number} distance - How many hexes to push
-   * @param {Object} state - Current game state
-   * @param {Object} store - Game store
+   * Work out where a push would leave its target without moving it
+   * @returns {Object} { position, enteredHexes } - final hex and each hex entered on the way
    */
-  executePush(pusher, target, distance, state, store) {
+  getPushResult(pusher, target, distance, state) {
     const direction = HexMath.getDirection(pusher.position, target.position);
+    const room = this.getRoom(state);
     let currentPos = { ...target.position };
-    let pushedDistance = 0;
+    const enteredHexes = [];
 
     // Try to push the target step by step
     for (let i = 0; i < distance; i++) {
       const nextPos = HexMath.add(currentPos, direction);
 
-      // Check if next position is valid (in bounds, not a wall, not occupied)
-      const room = this.getRoom(state);
+      // Check if next position is valid (in bounds, not a wall or obstacle, not occupied)
       if (!this.isInBounds(nextPos, room)) break;
-
-      const wallSet = new Set((room.walls || []).map(w => HexMath.key(w)));
-      if (wallSet.has(HexMath.key(nextPos))) break;
+      if (RoomLayout.blocksMovement(room, nextPos)) break;
 
       // Check if occupied (by character or enemy, but not the target itself)
       const isOccupied = state.characters.some(c => c.id !== target.id && HexMath.equals(c.position, nextPos)) ||
@@ -332,9 +958,24 @@ const Combat = {
       if (isOccupied) break;
 
       currentPos = nextPos;
-      pushedDistance++;
+      enteredHexes.push(nextPos);
     }
 
+    return { position: currentPos, enteredHexes };
+  },
+
+  /**
+   * Execute a push action - pushes target away from pusher
+   * @param {Object} pusher - The unit doing the pushing
+   * @param {Object} target - The target to push
+   * @param {number} distance - How many hexes to push
+   * @param {Object} state - Current game state
+   * @param {Object} store - Game store
+   */
+  executePush(pusher, target, distance, state, store) {
+    const { position: currentPos, enteredHexes } = this.getPushResult(pusher, target, distance, state);
+    const pushedDistance = enteredHexes.length;
+
     if (pushedDistance > 0) {
       // Move the target to the new position
       const isTargetEnemy = state.enemies.some(e => e.id === target.id);
@@ -358,6 +999,7 @@ const Combat = {
       }
 
       EventBus.emit('unit:pushed', { name: target.name || target.shortName, distance: pushedDistance });
+      this.enterHexes(target, enteredHexes, store);
     } else {
       EventBus.emit('unit:pushed', { name: target.name || target.shortName, blocked: true });
     }
@@ -365,6 +1007,109 @@ const Combat = {
     return pushedDistance;
   },
 
+  /**
+   * Perform a boss special ability
+   * @param {string} script - One of CONSTANTS.BOSS_SCRIPTS
+   */
+  executeBossScript(boss, script, store) {
+    const settings = GameData.enemies[boss.type].scripts[script];
+    EventBus.emit('boss:script', { name: boss.name, ability: this.getBossScriptName(script) });
+
+    if (script === CONSTANTS.BOSS_SCRIPTS.KNOCKBACK) {
+      this.executeKnockback(boss, settings, store);
+    } else if (script === CONSTANTS.BOSS_SCRIPTS.SUMMON) {
+      this.executeSummon(boss, settings, store);
+    } else if (script === CONSTANTS.BOSS_SCRIPTS.KNEEL) {
+      this.executeKneel(boss, settings, store);
+    }
+  },
+
+  /**
+   * Display name of a boss special ability
+   */
+  getBossScriptName(script) {
+    return {
+      [CONSTANTS.BOSS_SCRIPTS.KNOCKBACK]: 'Knockback Blast',
+      [CONSTANTS.BOSS_SCRIPTS.SUMMON]: 'Summon Jaffa',
+      [CONSTANTS.BOSS_SCRIPTS.KNEEL]: 'Kneel Before Your God',
+    }[script] || script;
+  },
+
+  /**
+   * Knockback blast: damage every adjacent character and push the
+   * survivors away. This is not an attack, so no modifier is drawn.
+   */
+  executeKnockback(boss, { damage, push }, store) {
+    const adjacent = store.state.characters
+      .filter(c => c.health > 0 && HexMath.distance(c.position, boss.position) === 1);
+
+    for (const char of adjacent) {
+      const { absorbed, dealt } = store.damageCharacter(char.id, damage);
+      const newHealth = StatusEffects.getUnit(char.id, store.state).health;
+
+      EventBus.emit('unit:damaged', {
+        attackerName: boss.name,
+        targetName: char.shortName,
+        damage: dealt,
+        absorbed,
+        pierce: 0,
+        newHealth,
+        maxHealth: char.maxHealth,
+        targetId: char.id,
+        position: char.position,
+        attackerPosition: boss.position,
+      });
+
+      if (newHealth <= 0) {
+        EventBus.emit('unit:defeated', { name: char.shortName, isCharacter: true });
+      } else {
+        this.executePush(boss, char, push, store.state, store);
+      }
+    }
+  },
+
+  /**
+   * Summon enemies into the empty hexes around a boss, at the room's level.
+   * A boss summons at most `max` enemies over the whole fight.
+   */
+  executeSummon(boss, { type, count, max }, store) {
+    const remaining = Math.max(0, max - boss.summoned);
+    if (remaining === 0) {
+      EventBus.emit('boss:summoned', { name: boss.name, summonName: GameData.enemies[type].name, count: 0, exhausted: true });
+      return;
+    }
+
+    const state = store.state;
+    const level = this.getEnemyLevel(state, state.currentRoom - 1);
+    const hexes = HexMath.neighbors(boss.position)
+      .filter(hex => this.isWalkable(hex, state) && !this.isDangerous(hex, state))
+      .slice(0, Math.min(count, remaining));
+
+    const summons = hexes.map((position, index) =>
+      this.createEnemy({ type, position }, `${boss.id}_summon_${boss.summoned + index}`, level)
+    );
+
+    if (summons.length > 0) {
+      store.summonEnemies(boss.id, summons);
+    }
+    EventBus.emit('boss:summoned', { name: boss.name, summonName: GameData.enemies[type].name, count: summons.length });
+  },
+
+  /**
+   * Kneel before your god: stun every character in range and sight
+   */
+  executeKneel(boss, { range }, store) {
+    const targets = store.state.characters.filter(c =>
+      c.health > 0 &&
+      HexMath.distance(c.position, boss.position) <= range &&
+      this.hasLineOfSight(boss.position, c.position, store.state)
+    );
+
+    for (const char of targets) {
+      StatusEffects.apply(char, CONSTANTS.STATUS_EFFECTS.STUN, store.state, store, boss.name);
+    }
+  },
+
   /**
    * Execute a shield action
    */
@@ -386,19 +1131,149 @@ const Combat = {
     store.setState({ characters });
   },
 
+  /**
+   * Execute a trap action - sets a trap token on an empty hex
+   */
+  executeTrap(caster, hex, trapAction, state, store) {
+    const trap = {
+      id: `trap_${HexMath.key(hex)}`,
+      position: { ...hex },
+      damage: trapAction.damage,
+      effects: trapAction.effects,
+      ownerId: caster.id,
+    };
+
+    store.placeTrap(trap);
+    EventBus.emit('trap:placed', { name: caster.shortName, position: hex });
+  },
+
+  /**
+   * Shuffle BLESS cards into a character's modifier deck
+   */
+  grantBless(target, count, store) {
+    if (!count) return;
+    store.addModifierCard(target.id, CONSTANTS.MODIFIER_CARDS.BLESS, count);
+  },
+
+  /**
+   * Execute a buff action - stores the buff on the target until their next attack
+   */
+  executeBuff(caster, target, action, state, store) {
+    const effect = {
+      type: action.effect,
+      value: action.value || 0,
+      duration: this.getEffectDuration(target.id, state),
+      source: caster.shortName,
+    };
+
+    store.addEffect(target.id, effect);
+
+    EventBus.emit('unit:buffed', {
+      casterName: caster.shortName,
+      targetName: target.shortName,
+      effect,
+      targetId: target.id,
+      position: target.position,
+    });
+  },
+
+  /**
+   * Get enemies whose turn is still to come this round
+   */
+  getCancellableTurnTargets(state) {
+    const { turnOrder, currentTurnIndex } = state.turn;
+    return state.enemies
+      .filter(e => e.health > 0 && turnOrder.some((entry, index) =>
+        index > currentTurnIndex && entry.unit.id === e.id && !entry.cancelled
+      ))
+      .map(e => ({ hex: e.position, unit: e }));
+  },
+
+  /**
+   * Execute a cancel turn action - the target's pending turn is skipped
+   */
+  executeCancelTurn(caster, target, state, store) {
+    const { turnOrder, currentTurnIndex } = state.turn;
+    const newTurnOrder = turnOrder.map((entry, index) =>
+      index > currentTurnIndex && entry.unit.id === target.id ? { ...entry, cancelled: true } : entry
+    );
+
+    store.setState({ turn: { ...state.turn, turnOrder: newTurnOrder } });
+    EventBus.emit('turn:cancelled', { casterName: caster.shortName, targetName: target.name });
+  },
+
+  /**
+   * Execute an immunity action - the unit ignores damage until end of round
+   */
+  executeImmunity(unit, store) {
+    store.addEffect(unit.id, {
+      type: CONSTANTS.EFFECT_TYPES.IMMUNE,
+      value: 0,
+      duration: 1,
+      source: unit.shortName,
+    });
+    EventBus.emit('unit:immunity', { name: unit.shortName, position: unit.position });
+  },
+
+  /**
+   * Process a special action by its structured effect
+   */
+  processSpecial(action, unit, state, store) {
+    switch (action.effect) {
+      case CONSTANTS.SPECIAL_EFFECTS.RECOVER_CARDS:
+        store.recoverCards(unit.id, action.value);
+        return { type: 'complete' };
+
+      case CONSTANTS.SPECIAL_EFFECTS.IMMUNITY:
+        this.executeImmunity(unit, store);
+        return { type: 'complete' };
+
+      case CONSTANTS.SPECIAL_EFFECTS.GROUP_MOVE: {
+        // Allies move one after another
+        const queue = state.characters
+          .filter(c => c.health > 0 && c.id !== unit.id)
+          .map(c => c.id);
+        return {
+          type: CONSTANTS.SPECIAL_EFFECTS.GROUP_MOVE,
+          queue,
+          moveRange: action.value,
+        };
+      }
+
+      case CONSTANTS.SPECIAL_EFFECTS.CANCEL_TURN:
+        return {
+          type: CONSTANTS.SPECIAL_EFFECTS.CANCEL_TURN,
+          targets: this.getCancellableTurnTargets(state),
+        };
+
+      default:
+        EventBus.emit('action:special', { name: unit.shortName, text: action.text });
+        return { type: 'complete' };
+    }
+  },
+
   /**
    * Process a card action (top or bottom)
    * Returns true if action requires target selection, false if auto-executed
    */
   processAction(action, unit, state, store) {
+    // Conditions such as stun, immobilize and disarm cancel the action
+    const blockedBy = StatusEffects.getBlockingStatus(unit, action.type);
+    if (blockedBy) {
+      EventBus.emit('action:prevented', { name: unit.shortName, status: blockedBy, text: action.text });
+      return { type: 'complete' };
+    }
+
     switch (action.type) {
       case CONSTANTS.ACTION_TYPES.MOVE: {
         // Show reachable hexes for movement
-        const reachable = this.getReachableHexes(unit, action.value, state);
+        const mode = this.getMoveMode(action);
+        const reachable = this.getReachableHexes(unit, action.value, state, mode);
         return {
           type: CONSTANTS.ACTION_TYPES.MOVE,
           reachableHexes: reachable,
           moveRange: action.value,
+          mode,
         };
       }
 
@@ -408,9 +1283,12 @@ const Combat = {
         return {
           type: CONSTANTS.ACTION_TYPES.ATTACK,
           targets,
+          blocked: this.getBlockedTargets(unit, range, state, CONSTANTS.UNIT_TYPES.ENEMY),
           damage: action.value,
           range,
-          stun: action.stun || false,
+          effects: action.effects || [],
+          curse: action.curse || 0,
+          pierce: action.pierce || 0,
           aoe: action.aoe || false,
           aoeRadius: action.aoeRadius || 1,
           push: action.push || 0,
@@ -423,8 +1301,10 @@ const Combat = {
         // AOE heal - heal all allies
         if (action.aoe) {
           for (const char of state.characters) {
-            if (char.health > 0 && char.health < char.maxHealth) {
+            if (char.health > 0 && this.needsHealing(char)) {
               this.executeHeal(unit, char, action.value, state, store);
+              this.grantBless(char, action.bless, store);
+              StatusEffects.applyAll(char, action.effects, store.state, store, unit.shortName);
             }
           }
           return { type: 'complete' };
@@ -435,14 +1315,19 @@ const Combat = {
         // If only self-heal (range 0), auto-execute
         if (range === 0 || action.text?.includes('self')) {
           this.executeHeal(unit, unit, action.value, state, store);
+          this.grantBless(unit, action.bless, store);
+          StatusEffects.applyAll(unit, action.effects, store.state, store, unit.shortName);
           return { type: 'complete' };
         }
 
         return {
           type: CONSTANTS.ACTION_TYPES.HEAL,
           targets,
+          blocked: this.getHealTargets(unit, range, state, true),
           amount: action.value,
           range,
+          bless: action.bless || 0,
+          effects: action.effects || [],
         };
       }
 
@@ -450,6 +1335,9 @@ const Combat = {
         // Check if self-only
         if (action.text?.includes('self')) {
           this.executeShield(unit, unit, action.value, state, store);
+          this.grantBless(unit, action.bless, store);
+          this.grantRetaliate(unit, action.retaliate, store);
+          StatusEffects.applyAll(unit, action.effects, store.state, store, unit.shortName);
           return { type: 'complete' };
         }
 
@@ -462,20 +1350,23 @@ const Combat = {
           type: CONSTANTS.ACTION_TYPES.SHIELD,
           targets,
           amount: action.value,
+          bless: action.bless || 0,
+          retaliate: action.retaliate || 0,
+          effects: action.effects || [],
         };
       }
 
       case CONSTANTS.ACTION_TYPES.BUFF: {
-        // For MVP, just log the buff
-        EventBus.emit('action:special', { name: unit.shortName, text: action.text });
-        return { type: 'complete' };
+        // Need to select an ally to receive the buff
+        return {
+          type: CONSTANTS.ACTION_TYPES.BUFF,
+          targets: this.getBuffTargets(unit, state),
+          action,
+        };
       }
 
-      case CONSTANTS.ACTION_TYPES.SPECIAL: {
-        // Handle special actions
-        EventBus.emit('action:special', { name: unit.shortName, text: action.text });
-        return { type: 'complete' };
-      }
+      case CONSTANTS.ACTION_TYPES.SPECIAL:
+        return this.processSpecial(action, unit, state, store);
 
       case CONSTANTS.ACTION_TYPES.PUSH: {
         // Get enemies in range for push targeting
@@ -484,15 +1375,20 @@ const Combat = {
         return {
           type: CONSTANTS.ACTION_TYPES.PUSH,
           targets,
+          blocked: this.getBlockedTargets(unit, range, state, CONSTANTS.UNIT_TYPES.ENEMY),
           pushDistance: action.value,
           range,
         };
       }
 
       case CONSTANTS.ACTION_TYPES.TRAP: {
-        // For MVP, just log
-        EventBus.emit('action:special', { name: unit.shortName, text: `sets a trap: ${action.text}` });
-        return { type: 'complete' };
+        // Need to select an empty adjacent hex
+        return {
+          type: CONSTANTS.ACTION_TYPES.TRAP,
+          hexes: this.getTrapHexes(unit, state),
+          damage: action.value,
+          effects: action.effects || [],
+        };
       }
 
       default:
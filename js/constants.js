@@ -5,6 +5,8 @@
 const CONSTANTS = Object.freeze({
   HEX: Object.freeze({
     SIZE: 40,
+    // Offset applied to line-of-sight lines so edge cases round consistently
+    LOS_NUDGE: 1e-6,
   }),
 
   GRID: Object.freeze({
@@ -18,6 +20,8 @@ const CONSTANTS = Object.freeze({
   TIMING: Object.freeze({
     ACTION_DELAY: 300,
     ENEMY_TURN_DELAY: 500,
+    // Time for a moving unit to cross one hex
+    MOVE_STEP: 150,
   }),
 
   ACTION_TYPES: Object.freeze({
@@ -31,6 +35,42 @@ const CONSTANTS = Object.freeze({
     TRAP: 'trap',
   }),
 
+  EFFECT_TYPES: Object.freeze({
+    ATTACK_BONUS: 'attackBonus',
+    ADVANTAGE: 'advantage',
+    IMMUNE: 'immune',
+    RETALIATE: 'retaliate',
+  }),
+
+  STATUS_EFFECTS: Object.freeze({
+    POISON: 'poison',
+    WOUND: 'wound',
+    IMMOBILIZE: 'immobilize',
+    DISARM: 'disarm',
+    MUDDLE: 'muddle',
+    STRENGTHEN: 'strengthen',
+    INVISIBLE: 'invisible',
+    STUN: 'stun',
+  }),
+
+  SPECIAL_EFFECTS: Object.freeze({
+    RECOVER_CARDS: 'recoverCards',
+    GROUP_MOVE: 'groupMove',
+    CANCEL_TURN: 'cancelTurn',
+    IMMUNITY: 'immunity',
+  }),
+
+  MODIFIER_CARDS: Object.freeze({
+    BLESS: 'bless',
+    CURSE: 'curse',
+  }),
+
+  DRAW_MODES: Object.freeze({
+    NORMAL: 'normal',
+    ADVANTAGE: 'advantage',
+    DISADVANTAGE: 'disadvantage',
+  }),
+
   PHASES: Object.freeze({
     BRIEFING: 'briefing',
     SELECTION: 'selection',
@@ -46,14 +86,71 @@ const CONSTANTS = Object.freeze({
     ENEMY: 'enemy',
   }),
 
+  DIFFICULTIES: Object.freeze({
+    RECRUIT: 'recruit',
+    VETERAN: 'veteran',
+    JAFFA_MASTER: 'jaffa_master',
+  }),
+
   AI_TYPES: Object.freeze({
     MELEE: 'melee',
     RANGED: 'ranged',
+    BOSS: 'boss',
+  }),
+
+  // Lookahead AI: time allowed per enemy decision (ms) and score weights
+  LOOKAHEAD_AI: Object.freeze({
+    TIME_BUDGET: 40,
+    // Per expected kill, on top of the damage dealt
+    KILL_BONUS: 3,
+    // Per point of expected damage enemies take
+    DAMAGE_TAKEN: 1,
+  }),
+
+  // Weights for scoring the hex a tactical melee enemy attacks from
+  MELEE_AI: Object.freeze({
+    // Per hex between the attack hex and the nearest ally next to the target
+    SPREAD: 1,
+    CLUSTERED: -3,
+    MOVE_COST: -0.1,
+  }),
+
+  // Weights for scoring the hex a ranged enemy moves to
+  RANGED_AI: Object.freeze({
+    ATTACK: 20,
+    ADJACENT_SHOT: -8,
+    // Per hex of travel still needed to reach the target when out of range
+    APPROACH: -1,
+    UNREACHABLE: 20,
+    // Per character who could move next to the hex / shoot it / can't see it
+    MELEE_EXPOSURE: -4,
+    RANGED_EXPOSURE: -1,
+    COVER: 1,
+    DANGER: -6,
+    // Per ally next to the hex when a character's area attack can reach it
+    CLUSTERED: -3,
+    // Per movement point spent, so equal hexes favor moving less
+    MOVE_COST: -0.1,
   }),
 
   ENEMY_IDS: Object.freeze({
     JAFFA_WARRIOR: 'jaffa_warrior',
     JAFFA_SERPENT_GUARD: 'jaffa_serpent_guard',
+    JAFFA_ZAT_TROOPER: 'jaffa_zat_trooper',
+    JAFFA_FIRST_PRIME: 'jaffa_first_prime',
+    GOAULD_SYSTEM_LORD: 'goauld_system_lord',
+  }),
+
+  // Special abilities a boss performs at the start of its turn
+  BOSS_SCRIPTS: Object.freeze({
+    KNOCKBACK: 'knockback',
+    SUMMON: 'summon',
+    KNEEL: 'kneel',
+  }),
+
+  ENEMY_RANKS: Object.freeze({
+    NORMAL: 'normal',
+    ELITE: 'elite',
   }),
 
   CHARACTER_IDS: Object.freeze({
@@ -63,9 +160,44 @@ const CONSTANTS = Object.freeze({
     TEALC: 'tealc',
   }),
 
+  TILE_TYPES: Object.freeze({
+    FLOOR: 'floor',
+    WALL: 'wall',
+    OBSTACLE: 'obstacle',
+    TERRAIN: 'terrain',
+    DECOR: 'decor',
+  }),
+
+  MOVE_MODES: Object.freeze({
+    NORMAL: 'normal',
+    JUMP: 'jump',
+    FLYING: 'flying',
+  }),
+
+  TERRAIN_TYPES: Object.freeze({
+    DIFFICULT: 'difficult',
+    HAZARDOUS: 'hazardous',
+    WATER: 'water',
+    CHASM: 'chasm',
+  }),
+
+  OBSTACLE_KINDS: Object.freeze({
+    PILLAR: 'pillar',
+    RUBBLE: 'rubble',
+    DHD: 'dhd',
+  }),
+
+  DECOR_KINDS: Object.freeze({
+    STARGATE: 'stargate',
+    DOOR: 'door',
+    GLYPHS: 'glyphs',
+    PEDESTAL: 'pedestal',
+  }),
+
   HIGHLIGHT_TYPES: Object.freeze({
     REACHABLE: 'reachable',
     ATTACKABLE: 'attackable',
+    BLOCKED: 'blocked',
   }),
 
   LOG_TYPES: Object.freeze({
@@ -78,11 +210,25 @@ const CONSTANTS = Object.freeze({
     TOTAL_ROOMS: 3,
     CARDS_TO_PLAY: 2,
     LONG_REST_HEAL: 2,
+    POISON_DAMAGE: 1,
+    WOUND_DAMAGE: 1,
+    UNITS_BLOCK_LOS: false,
+    DIFFICULT_TERRAIN_COST: 2,
+    HAZARD_DAMAGE: 1,
+    // Initiative for enemy types without an ability deck
+    DEFAULT_ENEMY_INITIATIVE: 50,
+    // Scenario level sets enemy stats; rooms may add to it
+    DEFAULT_SCENARIO_LEVEL: 1,
+    MAX_SCENARIO_LEVEL: 3,
+    DEFAULT_DIFFICULTY: 'veteran',
+    // Initiative of the extra turn a boss gets in a phase with `extraTurn`
+    BOSS_EXTRA_TURN_INITIATIVE: 99,
   }),
 
   LIMITS: Object.freeze({
     MAX_HISTORY: 50,
     MAX_LOG_MESSAGES: 50,
+    MAX_TEMPORARY_MODIFIERS: 10,
   }),
 
   UI: Object.freeze({
@@ -106,11 +252,13 @@ const CONSTANTS = Object.freeze({
   FLOATING_NUMBER: Object.freeze({
     DURATION: 1000,
     OFFSET_Y: -30,
+    STACK_OFFSET_Y: 16,
     RANDOM_OFFSET_X: 20,
     COLORS: Object.freeze({
       DAMAGE: '#ef4444',
       HEAL: '#22c55e',
       SHIELD: '#3b82f6',
+      BUFF: '#d4af37',
     }),
   }),
 });
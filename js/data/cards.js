@@ -16,7 +16,7 @@ GameData.cards = {
       name: 'Tactical Position',
       initiative: 45,
       top: { type: 'move', value: 4, text: 'Move 4' },
-      bottom: { type: 'buff', value: 1, text: 'Ally +1 Attack' },
+      bottom: { type: 'buff', effect: 'attackBonus', value: 1, text: 'Ally +1 Attack' },
     },
     {
       id: 'jack_03',
@@ -30,7 +30,7 @@ GameData.cards = {
       name: 'Fall Back',
       initiative: 18,
       top: { type: 'move', value: 3, text: 'Move 3' },
-      bottom: { type: 'special', text: 'All allies Move 2' },
+      bottom: { type: 'special', effect: 'groupMove', value: 2, text: 'All allies Move 2' },
     },
     {
       id: 'jack_05',
@@ -57,7 +57,7 @@ GameData.cards = {
       id: 'jack_08',
       name: 'Headshot',
       initiative: 60,
-      top: { type: 'attack', value: 5, range: 3, burn: true, text: 'Attack 5, Range 3 [BURN]' },
+      top: { type: 'attack', value: 5, range: 3, pierce: 2, effects: ['wound'], burn: true, text: 'Attack 5, Range 3, Pierce 2, Wound [BURN]' },
       bottom: { type: 'move', value: 2, text: 'Move 2' },
     },
     {
@@ -71,7 +71,7 @@ GameData.cards = {
       id: 'jack_10',
       name: 'Suppressive Fire',
       initiative: 50,
-      top: { type: 'attack', value: 3, range: 3, text: 'Attack 3, Range 3' },
+      top: { type: 'attack', value: 3, range: 3, effects: ['muddle'], text: 'Attack 3, Range 3, Muddle' },
       bottom: { type: 'move', value: 3, text: 'Move 3' },
     },
   ],
@@ -81,14 +81,14 @@ GameData.cards = {
       id: 'sam_01',
       name: 'Zat Gun',
       initiative: 28,
-      top: { type: 'attack', value: 2, range: 2, stun: true, burn: true, text: 'Attack 2, Range 2, Stun [BURN]' },
+      top: { type: 'attack', value: 2, range: 2, effects: ['stun'], burn: true, text: 'Attack 2, Range 2, Stun [BURN]' },
       bottom: { type: 'move', value: 3, text: 'Move 3' },
     },
     {
       id: 'sam_02',
       name: 'Tech Analysis',
       initiative: 15,
-      top: { type: 'buff', text: 'Ally gains Advantage' },
+      top: { type: 'buff', effect: 'advantage', text: 'Ally gains Advantage' },
       bottom: { type: 'move', value: 2, text: 'Move 2' },
     },
     {
@@ -109,7 +109,7 @@ GameData.cards = {
       id: 'sam_05',
       name: 'Covering Fire',
       initiative: 38,
-      top: { type: 'attack', value: 3, range: 4, text: 'Attack 3, Range 4' },
+      top: { type: 'attack', value: 3, range: 4, effects: ['immobilize'], text: 'Attack 3, Range 4, Immobilize' },
       bottom: { type: 'move', value: 2, text: 'Move 2' },
     },
     {
@@ -130,7 +130,7 @@ GameData.cards = {
       id: 'sam_08',
       name: 'Naquadah Reactor',
       initiative: 18,
-      top: { type: 'special', burn: true, text: 'Draw 2 cards [BURN]' },
+      top: { type: 'special', effect: 'recoverCards', value: 2, burn: true, text: 'Draw 2 cards [BURN]' },
       bottom: { type: 'move', value: 3, text: 'Move 3' },
     },
     {
@@ -154,14 +154,14 @@ GameData.cards = {
       id: 'daniel_01',
       name: 'Field Medicine',
       initiative: 20,
-      top: { type: 'heal', value: 3, range: 2, text: 'Heal 3, Range 2' },
+      top: { type: 'heal', value: 3, range: 2, bless: 1, text: 'Heal 3, Range 2, Bless' },
       bottom: { type: 'move', value: 3, text: 'Move 3' },
     },
     {
       id: 'daniel_02',
       name: 'Ancient Knowledge',
       initiative: 8,
-      top: { type: 'special', text: 'Draw 2 cards' },
+      top: { type: 'special', effect: 'recoverCards', value: 2, text: 'Draw 2 cards' },
       bottom: { type: 'move', value: 2, text: 'Move 2' },
     },
     {
@@ -175,7 +175,7 @@ GameData.cards = {
       id: 'daniel_04',
       name: 'Defensive Shot',
       initiative: 32,
-      top: { type: 'attack', value: 2, range: 2, text: 'Attack 2, Range 2' },
+      top: { type: 'attack', value: 2, range: 2, curse: 1, text: 'Attack 2, Range 2, Curse' },
       bottom: { type: 'shield', value: 1, text: 'Shield 1 (self)' },
     },
     {
@@ -189,7 +189,7 @@ GameData.cards = {
       id: 'daniel_06',
       name: 'Peaceful Resolution',
       initiative: 5,
-      top: { type: 'special', burn: true, text: 'Enemy skips turn [BURN]' },
+      top: { type: 'special', effect: 'cancelTurn', burn: true, text: 'Enemy skips turn [BURN]' },
       bottom: { type: 'move', value: 4, text: 'Move 4' },
     },
     {
@@ -211,7 +211,7 @@ GameData.cards = {
       name: 'Evasive Action',
       initiative: 12,
       top: { type: 'move', value: 5, text: 'Move 5' },
-      bottom: { type: 'shield', value: 2, text: 'Shield 2 (self)' },
+      bottom: { type: 'shield', value: 2, effects: ['invisible'], text: 'Shield 2 (self), Invisible' },
     },
     {
       id: 'daniel_10',
@@ -227,7 +227,7 @@ GameData.cards = {
       id: 'tealc_01',
       name: 'Staff Blast',
       initiative: 42,
-      top: { type: 'attack', value: 4, range: 2, text: 'Attack 4, Range 2' },
+      top: { type: 'attack', value: 4, range: 2, pierce: 1, text: 'Attack 4, Range 2, Pierce 1' },
       bottom: { type: 'move', value: 2, text: 'Move 2' },
     },
     {
@@ -249,7 +249,7 @@ GameData.cards = {
       name: "Kel'no'reem",
       initiative: 10,
       top: { type: 'heal', value: 2, text: 'Heal 2 (self)' },
-      bottom: { type: 'special', text: 'Cannot be damaged' },
+      bottom: { type: 'special', effect: 'immunity', text: 'Cannot be damaged' },
     },
     {
       id: 'tealc_05',
@@ -262,14 +262,14 @@ GameData.cards = {
       id: 'tealc_06',
       name: 'Warrior Stance',
       initiative: 15,
-      top: { type: 'shield', value: 3, text: 'Shield 3 (self)' },
+      top: { type: 'shield', value: 3, effects: ['strengthen'], text: 'Shield 3 (self), Strengthen' },
       bottom: { type: 'move', value: 2, text: 'Move 2' },
     },
     {
       id: 'tealc_07',
       name: 'Charge',
       initiative: 38,
-      top: { type: 'move', value: 4, text: 'Move 4' },
+      top: { type: 'move', value: 4, jump: true, text: 'Move 4, Jump' },
       bottom: { type: 'attack', value: 3, range: 1, text: 'Attack 3' },
     },
     {
@@ -283,14 +283,14 @@ GameData.cards = {
       id: 'tealc_09',
       name: 'Defensive Position',
       initiative: 20,
-      top: { type: 'shield', value: 2, text: 'Shield 2 (self)' },
+      top: { type: 'shield', value: 2, retaliate: 2, text: 'Shield 2 (self), Retaliate 2' },
       bottom: { type: 'move', value: 3, text: 'Move 3' },
     },
     {
       id: 'tealc_10',
       name: 'Staff Sweep',
       initiative: 45,
-      top: { type: 'attack', value: 3, range: 2, text: 'Attack 3, Range 2' },
+      top: { type: 'attack', value: 3, range: 2, effects: ['disarm'], text: 'Attack 3, Range 2, Disarm' },
       bottom: { type: 'move', value: 3, text: 'Move 3' },
     },
   ],
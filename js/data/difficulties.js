@@ -0,0 +1,32 @@
+/**
+ * Game data: Difficulty levels
+ * `levelOffset` is added to the scenario level when looking up enemy stats.
+ * `tactics` switches on enemy AI behaviors:
+ *   kite         - ranged enemies weigh exposure and cover when moving
+ *   focusWeakest - enemies attack the most wounded character they can reach
+ *   surround     - melee enemies spread out around their target
+ *   avoidCleave  - enemies keep apart when a character has an area attack
+ */
+
+GameData.difficulties = {
+  [CONSTANTS.DIFFICULTIES.RECRUIT]: {
+    name: 'Recruit',
+    description: 'Weaker Jaffa who charge in without regard for cover.',
+    levelOffset: -1,
+    tactics: { kite: false, focusWeakest: false, surround: false, avoidCleave: false },
+  },
+
+  [CONSTANTS.DIFFICULTIES.VETERAN]: {
+    name: 'Veteran',
+    description: 'Standard Jaffa. Staff gunners keep their distance and use cover.',
+    levelOffset: 0,
+    tactics: { kite: true, focusWeakest: false, surround: false, avoidCleave: false },
+  },
+
+  [CONSTANTS.DIFFICULTIES.JAFFA_MASTER]: {
+    name: 'Jaffa Master',
+    description: "Stronger Jaffa who finish off the wounded, surround their prey and scatter before Teal'c's cleave.",
+    levelOffset: 1,
+    tactics: { kite: true, focusWeakest: true, surround: true, avoidCleave: true },
+  },
+};
@@ -1,23 +1,132 @@
 /**
  * Game data: Enemy definitions
+ * Templates may set `jump` or `flying` to change how the enemy moves.
+ * `stats` holds health, move, attack and shield for normal and elite
+ * enemies at each scenario level (index 0 to GAME.MAX_SCENARIO_LEVEL).
+ *
+ * Bosses set `boss` and have no elite rank. They may list `immunities`
+ * (conditions that can't be applied to them), `scripts` (settings for the
+ * BOSS_SCRIPTS their ability cards and phases trigger) and `phases`. A phase
+ * begins once health falls to `threshold` of max health; it adds its `move`,
+ * `attack` and `shield` to the boss's stats, queues its `onEnter` scripts
+ * for the boss's next turn, and `extraTurn` has the boss act again at the
+ * end of each round.
  */
 
 GameData.enemies = {
   [CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR]: {
     name: 'Jaffa Warrior',
-    maxHealth: 6,
-    move: 2,
-    attack: 3,
     range: 1,
     ai: CONSTANTS.AI_TYPES.MELEE,
+    stats: {
+      [CONSTANTS.ENEMY_RANKS.NORMAL]: [
+        { maxHealth: 5, move: 2, attack: 2, shield: 0 },
+        { maxHealth: 6, move: 2, attack: 3, shield: 0 },
+        { maxHealth: 7, move: 2, attack: 3, shield: 0 },
+        { maxHealth: 9, move: 2, attack: 4, shield: 0 },
+      ],
+      [CONSTANTS.ENEMY_RANKS.ELITE]: [
+        { maxHealth: 7, move: 2, attack: 3, shield: 0 },
+        { maxHealth: 9, move: 2, attack: 4, shield: 0 },
+        { maxHealth: 11, move: 2, attack: 4, shield: 1 },
+        { maxHealth: 13, move: 3, attack: 5, shield: 1 },
+      ],
+    },
   },
 
   [CONSTANTS.ENEMY_IDS.JAFFA_SERPENT_GUARD]: {
     name: 'Serpent Guard',
-    maxHealth: 10,
-    move: 3,
-    attack: 4,
     range: 2,
+    curse: 1,
     ai: CONSTANTS.AI_TYPES.RANGED,
+    stats: {
+      [CONSTANTS.ENEMY_RANKS.NORMAL]: [
+        { maxHealth: 8, move: 3, attack: 3, shield: 1 },
+        { maxHealth: 10, move: 3, attack: 4, shield: 1 },
+        { maxHealth: 12, move: 3, attack: 4, shield: 1 },
+        { maxHealth: 14, move: 3, attack: 5, shield: 2 },
+      ],
+      [CONSTANTS.ENEMY_RANKS.ELITE]: [
+        { maxHealth: 11, move: 3, attack: 4, shield: 1 },
+        { maxHealth: 13, move: 3, attack: 5, shield: 2 },
+        { maxHealth: 15, move: 3, attack: 5, shield: 2 },
+        { maxHealth: 18, move: 4, attack: 6, shield: 2 },
+      ],
+    },
+  },
+
+  [CONSTANTS.ENEMY_IDS.JAFFA_ZAT_TROOPER]: {
+    name: 'Zat Trooper',
+    range: 3,
+    attackEffects: [CONSTANTS.STATUS_EFFECTS.STUN],
+    ai: CONSTANTS.AI_TYPES.RANGED,
+    stats: {
+      [CONSTANTS.ENEMY_RANKS.NORMAL]: [
+        { maxHealth: 4, move: 2, attack: 1, shield: 0 },
+        { maxHealth: 5, move: 2, attack: 1, shield: 0 },
+        { maxHealth: 6, move: 2, attack: 2, shield: 0 },
+        { maxHealth: 7, move: 2, attack: 2, shield: 0 },
+      ],
+      [CONSTANTS.ENEMY_RANKS.ELITE]: [
+        { maxHealth: 6, move: 2, attack: 1, shield: 0 },
+        { maxHealth: 7, move: 2, attack: 2, shield: 0 },
+        { maxHealth: 8, move: 3, attack: 2, shield: 0 },
+        { maxHealth: 10, move: 3, attack: 3, shield: 0 },
+      ],
+    },
+  },
+
+  [CONSTANTS.ENEMY_IDS.JAFFA_FIRST_PRIME]: {
+    name: 'First Prime',
+    range: 1,
+    retaliate: 2,
+    ai: CONSTANTS.AI_TYPES.MELEE,
+    stats: {
+      [CONSTANTS.ENEMY_RANKS.NORMAL]: [
+        { maxHealth: 8, move: 2, attack: 3, shield: 0 },
+        { maxHealth: 9, move: 2, attack: 3, shield: 0 },
+        { maxHealth: 11, move: 2, attack: 4, shield: 0 },
+        { maxHealth: 13, move: 2, attack: 4, shield: 1 },
+      ],
+      [CONSTANTS.ENEMY_RANKS.ELITE]: [
+        { maxHealth: 11, move: 2, attack: 4, shield: 0 },
+        { maxHealth: 12, move: 2, attack: 4, shield: 1 },
+        { maxHealth: 14, move: 3, attack: 5, shield: 1 },
+        { maxHealth: 16, move: 3, attack: 5, shield: 1 },
+      ],
+    },
+  },
+
+  [CONSTANTS.ENEMY_IDS.GOAULD_SYSTEM_LORD]: {
+    name: "Goa'uld System Lord",
+    boss: true,
+    range: 3,
+    ai: CONSTANTS.AI_TYPES.BOSS,
+    immunities: [
+      CONSTANTS.STATUS_EFFECTS.STUN,
+      CONSTANTS.STATUS_EFFECTS.IMMOBILIZE,
+      CONSTANTS.STATUS_EFFECTS.DISARM,
+    ],
+    scripts: {
+      // Hand device: damages and throws back every adjacent character
+      [CONSTANTS.BOSS_SCRIPTS.KNOCKBACK]: { damage: 2, push: 2 },
+      // Up to `count` per summon, `max` over the whole fight
+      [CONSTANTS.BOSS_SCRIPTS.SUMMON]: { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, count: 2, max: 3 },
+      // "Kneel before your god": stuns characters in range and sight
+      [CONSTANTS.BOSS_SCRIPTS.KNEEL]: { range: 2 },
+    },
+    phases: [
+      { name: 'Arrogance', threshold: 1 },
+      { name: 'Personal Shield', threshold: 2 / 3, shield: 2, onEnter: [CONSTANTS.BOSS_SCRIPTS.SUMMON] },
+      { name: 'Wrath of a God', threshold: 1 / 3, attack: 1, onEnter: [CONSTANTS.BOSS_SCRIPTS.KNEEL], extraTurn: true },
+    ],
+    stats: {
+      [CONSTANTS.ENEMY_RANKS.NORMAL]: [
+        { maxHealth: 20, move: 2, attack: 3, shield: 0 },
+        { maxHealth: 24, move: 2, attack: 3, shield: 1 },
+        { maxHealth: 28, move: 2, attack: 4, shield: 1 },
+        { maxHealth: 32, move: 3, attack: 4, shield: 1 },
+      ],
+    },
   },
 };
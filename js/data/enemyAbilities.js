@@ -0,0 +1,51 @@
+/**
+ * Game data: Enemy ability decks
+ * Each enemy type draws one card per round. `move`, `attack` and `range`
+ * adjust the type's base stats; `pierce`, `retaliate` and `effects` add
+ * to its action, `script` has a boss perform one of its BOSS_SCRIPTS before
+ * it acts, and `shuffle` reshuffles the deck at the end of the round.
+ */
+
+GameData.enemyAbilities = {
+  [CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR]: [
+    { id: 'warrior_01', name: 'Staff Strike', initiative: 32, move: 0, attack: 0 },
+    { id: 'warrior_02', name: 'Charge', initiative: 45, move: 1, attack: -1 },
+    { id: 'warrior_03', name: 'Brutal Blow', initiative: 58, move: -1, attack: 1 },
+    { id: 'warrior_04', name: 'Flank', initiative: 40, move: 1, attack: 0 },
+    { id: 'warrior_05', name: 'Hold the Line', initiative: 22, move: -1, attack: -1, retaliate: 1, shuffle: true },
+    { id: 'warrior_06', name: 'Overwhelm', initiative: 70, move: 0, attack: 2, shuffle: true },
+  ],
+
+  [CONSTANTS.ENEMY_IDS.JAFFA_SERPENT_GUARD]: [
+    { id: 'serpent_01', name: 'Staff Blast', initiative: 35, move: 0, attack: 0 },
+    { id: 'serpent_02', name: 'Advance', initiative: 28, move: 1, attack: -1 },
+    { id: 'serpent_03', name: 'Take Aim', initiative: 64, move: -1, attack: 1, range: 1 },
+    { id: 'serpent_04', name: 'Suppressing Blast', initiative: 52, move: -1, attack: -1, range: 1, effects: [CONSTANTS.STATUS_EFFECTS.MUDDLE] },
+    { id: 'serpent_05', name: "Serpent's Sting", initiative: 44, move: 0, attack: 0, effects: [CONSTANTS.STATUS_EFFECTS.POISON], shuffle: true },
+    { id: 'serpent_06', name: 'Guard Formation', initiative: 18, move: 0, attack: -1, retaliate: 1, shuffle: true },
+  ],
+
+  [CONSTANTS.ENEMY_IDS.JAFFA_ZAT_TROOPER]: [
+    { id: 'zat_01', name: 'Zat Shot', initiative: 38, move: 0, attack: 0 },
+    { id: 'zat_02', name: 'Rapid Fire', initiative: 55, move: 0, attack: 1 },
+    { id: 'zat_03', name: 'Reposition', initiative: 27, move: 1, attack: 0, range: -1 },
+    { id: 'zat_04', name: 'Covering Fire', initiative: 47, move: 0, attack: 0, effects: [CONSTANTS.STATUS_EFFECTS.DISARM] },
+    { id: 'zat_05', name: 'Careful Aim', initiative: 68, move: -1, attack: 1, range: 1, shuffle: true },
+  ],
+
+  [CONSTANTS.ENEMY_IDS.JAFFA_FIRST_PRIME]: [
+    { id: 'prime_01', name: 'Commanding Strike', initiative: 30, move: 0, attack: 0 },
+    { id: 'prime_02', name: 'Lead the Charge', initiative: 42, move: 1, attack: 0 },
+    { id: 'prime_03', name: 'Staff Sweep', initiative: 48, move: 0, attack: 1, pierce: 1 },
+    { id: 'prime_04', name: 'Unyielding', initiative: 15, move: -1, attack: -1, retaliate: 2, shuffle: true },
+    { id: 'prime_05', name: 'Punishing Blow', initiative: 61, move: 0, attack: 2, effects: [CONSTANTS.STATUS_EFFECTS.WOUND], shuffle: true },
+  ],
+
+  [CONSTANTS.ENEMY_IDS.GOAULD_SYSTEM_LORD]: [
+    { id: 'lord_01', name: 'Hand Device', initiative: 24, move: 0, attack: -1, script: CONSTANTS.BOSS_SCRIPTS.KNOCKBACK },
+    { id: 'lord_02', name: 'Ribbon Blast', initiative: 40, move: 0, attack: 1 },
+    { id: 'lord_03', name: 'Kneel Before Your God', initiative: 33, move: -1, attack: 0, script: CONSTANTS.BOSS_SCRIPTS.KNEEL },
+    { id: 'lord_04', name: 'Summon the Guard', initiative: 66, move: 0, attack: -1, script: CONSTANTS.BOSS_SCRIPTS.SUMMON, shuffle: true },
+    { id: 'lord_05', name: 'Divine Contempt', initiative: 52, move: 1, attack: 0, shuffle: true },
+  ],
+};
@@ -1,5 +1,10 @@
 /**
  * Game data: Room definitions
+ * walls block movement and line of sight; obstacles block movement only;
+ * terrain is difficult, hazardous or impassable (water, chasm); decor is
+ * cosmetic. See RoomLayout for the queries.
+ * Enemy entries may set `elite`; `levelBonus` raises the scenario level
+ * for the room's enemies.
  */
 
 GameData.rooms = [
@@ -20,8 +25,24 @@ GameData.rooms = [
       { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, position: { q: 6, r: 3 } },
       { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, position: { q: 5, r: 5 } },
     ],
+    // Gate room: the Stargate and DHD behind the team, exit in the far corner
     walls: [
-      // Define wall hexes (perimeter)
+      { q: 5, r: 0 }, { q: 6, r: 0 }, { q: 6, r: 1 },
+      { q: 0, r: 5 }, { q: 0, r: 6 }, { q: 1, r: 6 },
+    ],
+    obstacles: [
+      { q: 2, r: 0, kind: CONSTANTS.OBSTACLE_KINDS.DHD },
+      { q: 3, r: 3, kind: CONSTANTS.OBSTACLE_KINDS.PILLAR },
+    ],
+    terrain: [
+      { q: 4, r: 2, type: CONSTANTS.TERRAIN_TYPES.DIFFICULT },
+      { q: 2, r: 3, type: CONSTANTS.TERRAIN_TYPES.DIFFICULT },
+      { q: 3, r: 5, type: CONSTANTS.TERRAIN_TYPES.WATER },
+      { q: 4, r: 5, type: CONSTANTS.TERRAIN_TYPES.WATER },
+    ],
+    decor: [
+      { q: 0, r: 0, kind: CONSTANTS.DECOR_KINDS.STARGATE },
+      { q: 6, r: 6, kind: CONSTANTS.DECOR_KINDS.DOOR },
     ],
   },
   {
@@ -39,10 +60,33 @@ GameData.rooms = [
       { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, position: { q: 5, r: 2 } },
       { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, position: { q: 6, r: 3 } },
       { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, position: { q: 5, r: 4 } },
-      { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, position: { q: 7, r: 2 } },
-      { type: CONSTANTS.ENEMY_IDS.JAFFA_SERPENT_GUARD, position: { q: 6, r: 4 } },
+      { type: CONSTANTS.ENEMY_IDS.JAFFA_ZAT_TROOPER, position: { q: 7, r: 2 } },
+      { type: CONSTANTS.ENEMY_IDS.JAFFA_SERPENT_GUARD, position: { q: 6, r: 4 }, elite: true },
+    ],
+    // Corridor walls along both sides, a broken wall in the middle and
+    // pillars and rubble for cover
+    walls: [
+      { q: 3, r: 0 }, { q: 4, r: 0 }, { q: 5, r: 0 }, { q: 6, r: 0 }, { q: 7, r: 0 },
+      { q: 0, r: 5 }, { q: 1, r: 5 }, { q: 2, r: 5 }, { q: 3, r: 5 }, { q: 4, r: 5 },
+      { q: 3, r: 2 }, { q: 3, r: 3 },
+    ],
+    obstacles: [
+      { q: 1, r: 3, kind: CONSTANTS.OBSTACLE_KINDS.RUBBLE },
+      { q: 5, r: 1, kind: CONSTANTS.OBSTACLE_KINDS.PILLAR },
+      { q: 4, r: 3, kind: CONSTANTS.OBSTACLE_KINDS.PILLAR },
+    ],
+    // Burning braziers and fallen masonry
+    terrain: [
+      { q: 2, r: 4, type: CONSTANTS.TERRAIN_TYPES.HAZARDOUS },
+      { q: 6, r: 5, type: CONSTANTS.TERRAIN_TYPES.HAZARDOUS },
+      { q: 4, r: 4, type: CONSTANTS.TERRAIN_TYPES.DIFFICULT },
+      { q: 4, r: 1, type: CONSTANTS.TERRAIN_TYPES.DIFFICULT },
+    ],
+    decor: [
+      { q: 0, r: 0, kind: CONSTANTS.DECOR_KINDS.DOOR },
+      { q: 7, r: 5, kind: CONSTANTS.DECOR_KINDS.DOOR },
+      { q: 2, r: 2, kind: CONSTANTS.DECOR_KINDS.GLYPHS },
     ],
-    walls: [],
   },
   {
     id: 3,
@@ -58,11 +102,41 @@ GameData.rooms = [
     enemies: [
       { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, position: { q: 6, r: 3 } },
       { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, position: { q: 7, r: 4 } },
-      { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, position: { q: 6, r: 5 } },
-      { type: CONSTANTS.ENEMY_IDS.JAFFA_WARRIOR, position: { q: 8, r: 4 } },
+      { type: CONSTANTS.ENEMY_IDS.JAFFA_FIRST_PRIME, position: { q: 6, r: 5 }, elite: true },
+      { type: CONSTANTS.ENEMY_IDS.JAFFA_ZAT_TROOPER, position: { q: 8, r: 4 } },
       { type: CONSTANTS.ENEMY_IDS.JAFFA_SERPENT_GUARD, position: { q: 7, r: 6 } },
+      { type: CONSTANTS.ENEMY_IDS.GOAULD_SYSTEM_LORD, position: { q: 8, r: 6 } },
     ],
+    levelBonus: 1,
     artifactPosition: { q: 7, r: 5 },
-    walls: [],
+    // Chamber with cut corners, two wall sections screening the pedestal
+    // and pillars around it
+    walls: [
+      { q: 7, r: 0 }, { q: 8, r: 0 }, { q: 8, r: 1 },
+      { q: 0, r: 6 }, { q: 0, r: 7 }, { q: 1, r: 7 },
+      { q: 4, r: 1 }, { q: 4, r: 2 },
+      { q: 3, r: 5 }, { q: 4, r: 5 },
+    ],
+    obstacles: [
+      { q: 2, r: 3, kind: CONSTANTS.OBSTACLE_KINDS.RUBBLE },
+      { q: 6, r: 6, kind: CONSTANTS.OBSTACLE_KINDS.PILLAR },
+      { q: 8, r: 5, kind: CONSTANTS.OBSTACLE_KINDS.PILLAR },
+      { q: 5, r: 3, kind: CONSTANTS.OBSTACLE_KINDS.PILLAR },
+    ],
+    // A collapsed floor, a naquadah spill and rubble-strewn approaches
+    terrain: [
+      { q: 2, r: 5, type: CONSTANTS.TERRAIN_TYPES.CHASM },
+      { q: 2, r: 6, type: CONSTANTS.TERRAIN_TYPES.CHASM },
+      { q: 5, r: 4, type: CONSTANTS.TERRAIN_TYPES.HAZARDOUS },
+      { q: 3, r: 3, type: CONSTANTS.TERRAIN_TYPES.DIFFICULT },
+      { q: 4, r: 3, type: CONSTANTS.TERRAIN_TYPES.DIFFICULT },
+      { q: 5, r: 6, type: CONSTANTS.TERRAIN_TYPES.DIFFICULT },
+    ],
+    decor: [
+      { q: 0, r: 0, kind: CONSTANTS.DECOR_KINDS.DOOR },
+      { q: 7, r: 5, kind: CONSTANTS.DECOR_KINDS.PEDESTAL },
+      { q: 6, r: 4, kind: CONSTANTS.DECOR_KINDS.GLYPHS },
+      { q: 7, r: 3, kind: CONSTANTS.DECOR_KINDS.GLYPHS },
+    ],
   },
 ];
@@ -7,40 +7,280 @@ const EnemyAI = {
    * Decide action for an enemy unit
    * @param {Object} enemy - Enemy unit data
    * @param {Object} state - Current game state
-   * @returns {Object} Action to perform {type, target, position}
+   * @returns {Object} Action to perform {type, target, position, focus}
    */
   decideAction(enemy, state) {
     // Skip if stunned
-    if (enemy.stunned) {
+    if (StatusEffects.has(enemy, CONSTANTS.STATUS_EFFECTS.STUN)) {
       return { type: 'wait' };
     }
 
-    const target = this.findNearestTarget(enemy, state.characters);
+    const target = this.findFocus(enemy, state);
     if (!target) {
       return { type: 'wait' };
     }
 
+    return { ...this.decideFocusedAction(enemy, target, state), focus: target };
+  },
+
+  /**
+   * Decide how an enemy acts against its focus
+   */
+  decideFocusedAction(enemy, target, state) {
     const distance = HexMath.distance(enemy.position, target.position);
 
+    // Immobilized enemies can only attack from where they stand
+    if (StatusEffects.has(enemy, CONSTANTS.STATUS_EFFECTS.IMMOBILIZE)) {
+      return this.canAttackFrom(enemy.position, enemy, target, state)
+        ? this.applyDisarm(enemy, { type: CONSTANTS.ACTION_TYPES.ATTACK, target })
+        : { type: 'wait' };
+    }
+
     // Melee AI (Jaffa Warrior)
     if (enemy.ai === CONSTANTS.AI_TYPES.MELEE) {
-      return this.decideMeleeAction(enemy, target, distance, state);
+      return this.applyDisarm(enemy, this.decideMeleeAction(enemy, target, distance, state));
     }
 
     // Ranged AI (Serpent Guard)
     if (enemy.ai === CONSTANTS.AI_TYPES.RANGED) {
-      return this.decideRangedAction(enemy, target, distance, state);
+      return this.applyDisarm(enemy, this.decideRangedAction(enemy, target, distance, state));
+    }
+
+    // Boss AI (System Lord)
+    if (enemy.ai === CONSTANTS.AI_TYPES.BOSS) {
+      return this.applyDisarm(enemy, this.decideBossAction(enemy, target, distance, state));
     }
 
     return { type: 'wait' };
   },
 
+  /**
+   * Decide an enemy's action with the AI mode chosen for the mission
+   * @param {number} turnIndex - Index of the enemy's turn in the turn order
+   */
+  chooseAction(enemy, state, turnIndex = state.turn.currentTurnIndex) {
+    return state.lookaheadAI ? this.decideLookaheadAction(enemy, state, turnIndex) : this.decideAction(enemy, state);
+  },
+
+  /**
+   * Lookahead AI: try the move/attack combos open to the enemy, let the
+   * enemies still to act this round follow up on the simulated board, and
+   * score the expected damage dealt against the damage taken, including
+   * what the characters could hit back with next turn. The usual decision
+   * is scored first, then the other combos from most to least promising
+   * until the time budget runs out.
+   * @param {number} turnIndex - Index of the enemy's turn in the turn order
+   */
+  decideLookaheadAction(enemy, state, turnIndex = state.turn.currentTurnIndex) {
+    const deadline = performance.now() + CONSTANTS.LOOKAHEAD_AI.TIME_BUDGET;
+    const standard = this.decideAction(enemy, state);
+    if (!standard.focus) return standard;
+
+    const followers = this.getFollowingEnemies(turnIndex, state);
+
+    let best = standard;
+    let bestScore = this.scoreLookahead(enemy, standard, followers, state, deadline);
+    if (bestScore === null) return standard;
+
+    for (const action of this.rankCandidateActions(enemy, state)) {
+      const score = this.scoreLookahead(enemy, action, followers, state, deadline);
+      if (score === null) break;
+      if (score > bestScore) {
+        bestScore = score;
+        best = action;
+      }
+    }
+
+    return { ...best, focus: best.target || standard.focus };
+  },
+
+  /**
+   * List the combos worth a full lookahead, most promising first: the best
+   * hex to attack each target from and every plain move, ranked by the
+   * enemy's own turn without followers
+   */
+  rankCandidateActions(enemy, state) {
+    const bestByTarget = new Map();
+    const moves = [];
+
+    for (const action of this.getCandidateActions(enemy, state)) {
+      const scored = { action, score: this.scoreLookahead(enemy, action, [], state) };
+      if (!action.target) {
+        moves.push(scored);
+      } else if (!(bestByTarget.get(action.target.id)?.score >= scored.score)) {
+        bestByTarget.set(action.target.id, scored);
+      }
+    }
+
+    return [...bestByTarget.values(), ...moves]
+      .sort((a, b) => b.score - a.score)
+      .map(({ action }) => action);
+  },
+
+  /**
+   * List every move/attack combo an enemy could take this turn
+   */
+  getCandidateActions(enemy, state) {
+    const canMove = !StatusEffects.has(enemy, CONSTANTS.STATUS_EFFECTS.IMMOBILIZE);
+    const canAttack = !StatusEffects.has(enemy, CONSTANTS.STATUS_EFFECTS.DISARM);
+    const positions = [
+      enemy.position,
+      ...(canMove ? this.getReachable(enemy, enemy.move, state).map(({ hex }) => hex) : []),
+    ];
+    const targets = state.characters.filter(char => char.health > 0 && StatusEffects.isTargetable(char));
+
+    const actions = [];
+    for (const position of positions) {
+      const moved = !HexMath.equals(position, enemy.position);
+
+      if (canAttack) {
+        for (const target of targets) {
+          if (!this.canAttackFrom(position, enemy, target, state)) continue;
+          actions.push(moved
+            ? { type: 'moveAndAttack', position, target }
+            : { type: CONSTANTS.ACTION_TYPES.ATTACK, target });
+        }
+      }
+
+      actions.push(moved ? { type: CONSTANTS.ACTION_TYPES.MOVE, position } : { type: 'wait' });
+    }
+
+    return actions;
+  },
+
+  /**
+   * Get the ids of enemies acting after a turn in the round. Looked up by
+   * turn index, as a boss with an extra turn appears in the order twice.
+   */
+  getFollowingEnemies(turnIndex, state) {
+    return state.turn.turnOrder
+      .filter((entry, i) => i > turnIndex && entry.type === CONSTANTS.UNIT_TYPES.ENEMY && !entry.cancelled)
+      .map(entry => entry.unit.id);
+  },
+
+  /**
+   * Score one combo by simulating it and the following enemies' turns
+   * @param {Array} followers - Ids of enemies acting later this round
+   * @param {number} deadline - performance.now() time to stop by
+   * @returns {number|null} Score, or null if the deadline passed first
+   */
+  scoreLookahead(enemy, action, followers, state, deadline = Infinity) {
+    const weights = CONSTANTS.LOOKAHEAD_AI;
+    let { board, dealt, taken, kills } = Simulation.runEnemyAction(state, enemy, action);
+
+    for (const id of followers) {
+      if (performance.now() > deadline) return null;
+
+      const follower = board.enemies.find(e => e.id === id);
+      if (!follower) continue;
+
+      const withCard = AbilityDeck.applyCard(follower, board);
+      const result = Simulation.runEnemyAction(board, withCard, this.decideAction(withCard, board));
+      board = result.board;
+      dealt += result.dealt;
+      taken += result.taken;
+      kills += result.kills;
+    }
+
+    taken += this.estimateResponse(board);
+
+    return dealt + kills * weights.KILL_BONUS - taken * weights.DAMAGE_TAKEN;
+  },
+
+  /**
+   * Estimate the damage the characters could deal back next turn: each
+   * attacks the enemy it can reach that takes the most damage
+   */
+  estimateResponse(board) {
+    let total = 0;
+
+    for (const char of board.characters) {
+      const threat = this.getThreat(char, board);
+      let best = 0;
+
+      for (const enemy of board.enemies) {
+        if (!this.isThreatened(enemy.position, threat)) continue;
+        best = Math.max(best, Math.min(enemy.health, Math.max(0, threat.attack - (enemy.shield || 0))));
+      }
+
+      total += best;
+    }
+
+    return total;
+  },
+
+  /**
+   * Project what each enemy still to act this round will do, without
+   * changing the game. Enemies plan in turn order on a copy of the board,
+   * so later ones account for earlier moves (attack damage is not simulated).
+   * The enemy whose turn is in progress is left out. The projection always
+   * uses the standard AI, so with the lookahead AI on it is approximate.
+   * @returns {Array} Array of { enemyId, type, from, to, target, focus }
+   */
+  projectIntents(state) {
+    const { turnOrder, currentTurnIndex } = state.turn;
+    let projected = state;
+    const intents = [];
+
+    turnOrder.forEach((entry, index) => {
+      if (index <= currentTurnIndex || entry.type !== CONSTANTS.UNIT_TYPES.ENEMY || entry.cancelled) return;
+
+      const enemy = projected.enemies.find(e => e.id === entry.unit.id);
+      if (!enemy) return;
+
+      const action = this.decideAction(AbilityDeck.applyCard(enemy, projected), projected);
+      const to = action.position || enemy.position;
+      intents.push({
+        enemyId: enemy.id,
+        type: action.type,
+        from: enemy.position,
+        to,
+        target: action.target || null,
+        focus: action.focus || null,
+      });
+
+      if (action.position) {
+        projected = {
+          ...projected,
+          enemies: projected.enemies.map(e => (e.id === enemy.id ? { ...e, position: { ...to } } : e)),
+        };
+      }
+    });
+
+    return intents;
+  },
+
+  /**
+   * Strip the attack from a decision if the enemy is disarmed
+   */
+  applyDisarm(enemy, action) {
+    if (!StatusEffects.has(enemy, CONSTANTS.STATUS_EFFECTS.DISARM)) {
+      return action;
+    }
+    if (action.type === 'moveAndAttack') {
+      return { type: CONSTANTS.ACTION_TYPES.MOVE, position: action.position };
+    }
+    if (action.type === CONSTANTS.ACTION_TYPES.ATTACK) {
+      return { type: 'wait', reason: CONSTANTS.STATUS_EFFECTS.DISARM };
+    }
+    return action;
+  },
+
+  /**
+   * Check if an enemy standing on a hex could attack the target
+   * (within range and line of sight)
+   */
+  canAttackFrom(hex, enemy, target, state) {
+    return HexMath.distance(hex, target.position) <= enemy.range &&
+      Combat.hasLineOfSight(hex, target.position, state);
+  },
+
   /**
    * Melee AI: Get close and attack
    */
   decideMeleeAction(enemy, target, distance, state) {
     // If adjacent, attack
-    if (distance <= enemy.range) {
+    if (this.canAttackFrom(enemy.position, enemy, target, state)) {
       return {
         type: CONSTANTS.ACTION_TYPES.ATTACK,
         target: target,
@@ -48,13 +288,13 @@ const EnemyAI = {
     }
 
     // Otherwise, move toward target
-    const moveTarget = this.findBestMoveToward(enemy, target.position, enemy.move, state);
+    const tactics = this.getTactics(state);
+    const moveTarget = ((tactics.surround || tactics.avoidCleave) && this.findMeleePosition(enemy, target, state, tactics)) ||
+      this.findBestMoveToward(enemy, target.position, enemy.move, state);
 
     if (moveTarget) {
-      const newDistance = HexMath.distance(moveTarget, target.position);
-
       // If we can move adjacent and attack
-      if (newDistance <= enemy.range) {
+      if (this.canAttackFrom(moveTarget, enemy, target, state)) {
         return {
           type: 'moveAndAttack',
           position: moveTarget,
@@ -72,141 +312,390 @@ const EnemyAI = {
   },
 
   /**
-   * Ranged AI: Keep distance and attack
+   * Boss AI: a god does not retreat. Attack from where it stands whenever
+   * it can (even at point blank), otherwise move into a firing position
+   * like a ranged enemy.
+   */
+  decideBossAction(enemy, target, distance, state) {
+    if (this.canAttackFrom(enemy.position, enemy, target, state)) {
+      return { type: CONSTANTS.ACTION_TYPES.ATTACK, target };
+    }
+
+    return this.decideRangedAction(enemy, target, distance, state);
+  },
+
+  /**
+   * Find the hex a tactical melee enemy attacks from, spreading out around
+   * the target and away from allies when a character could cleave them
+   * @returns {Object|null} Hex, or null if no attack hex is in reach
+   */
+  findMeleePosition(enemy, target, state, tactics) {
+    const weights = CONSTANTS.MELEE_AI;
+    const areaThreats = tactics.avoidCleave ? this.getAreaThreats(state) : [];
+
+    let best = null;
+    let bestScore = -Infinity;
+
+    for (const { hex, distance } of this.getReachable(enemy, enemy.move, state)) {
+      if (!this.canAttackFrom(hex, enemy, target, state)) continue;
+
+      const score = (tactics.surround ? this.getSpread(hex, enemy, target, state) * weights.SPREAD : 0) +
+        this.countClustered(hex, enemy, areaThreats, state) * weights.CLUSTERED +
+        distance * weights.MOVE_COST;
+
+      if (score > bestScore) {
+        bestScore = score;
+        best = hex;
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * How far a hex is from the nearest ally already next to the target
+   * @returns {number} Hex distance, 0 if no ally is next to the target
+   */
+  getSpread(hex, enemy, target, state) {
+    const distances = state.enemies
+      .filter(e => e.id !== enemy.id && e.health > 0 && HexMath.distance(e.position, target.position) === 1)
+      .map(e => HexMath.distance(hex, e.position));
+
+    return distances.length > 0 ? Math.min(...distances) : 0;
+  },
+
+  /**
+   * Count the allies next to a hex if a character with an area attack
+   * could strike it next turn
+   * @param {Array} areaThreats - Threats from getAreaThreats
+   */
+  countClustered(hex, enemy, areaThreats, state) {
+    if (!areaThreats.some(threat => this.isThreatened(hex, threat))) return 0;
+
+    return state.enemies
+      .filter(e => e.id !== enemy.id && e.health > 0 && HexMath.distance(e.position, hex) === 1)
+      .length;
+  },
+
+  /**
+   * Ranged AI: Move to the best-scoring hex, then attack if the target is
+   * in range and sight
    */
   decideRangedAction(enemy, target, distance, state) {
-    // If within attack range, attack
-    if (distance <= enemy.range && distance > 1) {
-      return {
-        type: CONSTANTS.ACTION_TYPES.ATTACK,
-        target: target,
-      };
+    const position = this.findRangedPosition(enemy, target, state);
+    const moved = !HexMath.equals(position, enemy.position);
+
+    if (this.canAttackFrom(position, enemy, target, state)) {
+      return moved
+        ? { type: 'moveAndAttack', position, target }
+        : { type: CONSTANTS.ACTION_TYPES.ATTACK, target };
     }
 
-    // If too close (adjacent), try to move away then attack
-    if (distance === 1) {
-      const retreatPos = this.findRetreatPosition(enemy, target, state);
-      if (retreatPos) {
-        const newDistance = HexMath.distance(retreatPos, target.position);
-        if (newDistance <= enemy.range) {
-          return {
-            type: 'moveAndAttack',
-            position: retreatPos,
-            target: target,
-          };
-        }
-        return {
-          type: CONSTANTS.ACTION_TYPES.MOVE,
-          position: retreatPos,
-        };
+    if (moved) {
+      return { type: CONSTANTS.ACTION_TYPES.MOVE, position };
+    }
+
+    return { type: 'wait' };
+  },
+
+  /**
+   * Score every hex a ranged enemy can end its move on (including staying
+   * put) and return the best one
+   */
+  findRangedPosition(enemy, target, state) {
+    const safeKeys = new Set(this.getReachable(enemy, enemy.move, state, true).map(({ hex }) => HexMath.key(hex)));
+    const candidates = [
+      { hex: enemy.position, distance: 0 },
+      ...this.getReachable(enemy, enemy.move, state, false),
+    ];
+
+    const tactics = this.getTactics(state);
+    const threats = state.characters
+      .filter(char => char.health > 0)
+      .map(char => this.getThreat(char, state));
+    const context = {
+      targetCosts: this.getTravelCosts(target.position, state, enemy.moveMode),
+      threats: tactics.kite ? threats : [],
+      areaThreats: tactics.avoidCleave ? threats.filter(threat => threat.aoe) : [],
+    };
+
+    let best = enemy.position;
+    let bestScore = -Infinity;
+
+    for (const { hex, distance } of candidates) {
+      const dangerous = distance > 0 && !safeKeys.has(HexMath.key(hex));
+      const score = this.scoreRangedPosition(hex, enemy, target, context, state) +
+        (dangerous ? CONSTANTS.RANGED_AI.DANGER : 0) +
+        distance * CONSTANTS.RANGED_AI.MOVE_COST;
+
+      if (score > bestScore) {
+        bestScore = score;
+        best = hex;
       }
-      // Can't retreat, attack anyway
-      return {
-        type: CONSTANTS.ACTION_TYPES.ATTACK,
-        target: target,
-      };
     }
 
-    // If too far, move closer
-    if (distance > enemy.range) {
-      const moveTarget = this.findBestMoveToward(enemy, target.position, enemy.move, state);
-      if (moveTarget) {
-        const newDistance = HexMath.distance(moveTarget, target.position);
-        if (newDistance <= enemy.range) {
-          return {
-            type: 'moveAndAttack',
-            position: moveTarget,
-            target: target,
-          };
-        }
-        return {
-          type: CONSTANTS.ACTION_TYPES.MOVE,
-          position: moveTarget,
-        };
+    return best;
+  },
+
+  /**
+   * Utility of a ranged enemy ending its move on a hex: a clear shot at the
+   * target, minus exposure to characters who could reach or shoot it next
+   * turn, plus cover from those who can't see it
+   * @param {Object} context - { targetCosts, threats, areaThreats } from findRangedPosition
+   */
+  scoreRangedPosition(hex, enemy, target, context, state) {
+    const weights = CONSTANTS.RANGED_AI;
+    let score = 0;
+
+    if (this.canAttackFrom(hex, enemy, target, state)) {
+      score += weights.ATTACK;
+      // Ranged attacks on an adjacent target are made with disadvantage
+      if (HexMath.distance(hex, target.position) === 1) score += weights.ADJACENT_SHOT;
+    } else {
+      score += (context.targetCosts.get(HexMath.key(hex)) ?? weights.UNREACHABLE) * weights.APPROACH;
+    }
+
+    for (const threat of context.threats) {
+      // Walking from the hex to the character costs about what the
+      // character pays to come here; it stops one hex short
+      const reachCost = (threat.costs.get(HexMath.key(hex)) ?? Infinity) - 1;
+      if (reachCost <= threat.move) score += weights.MELEE_EXPOSURE;
+
+      if (!Combat.hasLineOfSight(threat.char.position, hex, state)) {
+        score += weights.COVER;
+      } else if (threat.range > 1 && HexMath.distance(threat.char.position, hex) <= threat.range) {
+        score += weights.RANGED_EXPOSURE;
       }
     }
 
-    return { type: 'wait' };
+    score += this.countClustered(hex, enemy, context.areaThreats, state) * weights.CLUSTERED;
+
+    return score;
+  },
+
+  /**
+   * Estimate how far a character can move and shoot next turn, and how
+   * hard it hits, from the best values among the cards in its hand
+   * @returns {Object} { char, costs, move, range, attack, aoe }
+   */
+  getThreat(char, state) {
+    const actions = char.hand.flatMap(card => [card.top, card.bottom]);
+    const best = (type, key, fallback) => Math.max(fallback, ...actions
+      .filter(action => action.type === type)
+      .map(action => action[key] || fallback));
+
+    return {
+      char,
+      costs: this.getTravelCosts(char.position, state),
+      move: best(CONSTANTS.ACTION_TYPES.MOVE, 'value', 0),
+      range: best(CONSTANTS.ACTION_TYPES.ATTACK, 'range', 1),
+      attack: best(CONSTANTS.ACTION_TYPES.ATTACK, 'value', 0),
+      aoe: actions.some(action => action.type === CONSTANTS.ACTION_TYPES.ATTACK && action.aoe),
+    };
+  },
+
+  /**
+   * Get the threats of living characters holding an area attack
+   */
+  getAreaThreats(state) {
+    return state.characters
+      .filter(char => char.health > 0)
+      .map(char => this.getThreat(char, state))
+      .filter(threat => threat.aoe);
+  },
+
+  /**
+   * Check if a character could move into range of a hex next turn
+   * (by travel cost, ignoring line of sight)
+   */
+  isThreatened(hex, threat) {
+    return (threat.costs.get(HexMath.key(hex)) ?? Infinity) - 1 <= threat.move + threat.range - 1;
   },
 
   /**
-   * Find nearest player character
+   * Get the AI behaviors switched on by the mission's difficulty
    */
-  findNearestTarget(enemy, characters) {
-    let nearest = null;
-    let nearestDistance = Infinity;
+  getTactics(state) {
+    return Combat.getDifficulty(state).tactics;
+  },
 
-    for (const char of characters) {
-      if (char.health <= 0) continue;
+  /**
+   * Choose the character an enemy focuses on: the one it needs the fewest
+   * movement points to attack, then the closest, then the one with the
+   * lowest initiative this round. Remaining ties go to character order.
+   * Enemies that focus the weakest first pick the most wounded character
+   * they can attack this turn.
+   * @returns {Object|null} Focused character, or null if none can be targeted
+   */
+  findFocus(enemy, state) {
+    const reachable = this.getReachable(enemy, Infinity, state, false);
+
+    const candidates = state.characters
+      .map((char, order) => ({ char, order }))
+      .filter(({ char }) => char.health > 0 && StatusEffects.isTargetable(char))
+      .map(({ char, order }) => {
+        const movement = this.getMovementToAttack(enemy, char, reachable, state);
+        return {
+          char,
+          order,
+          movement,
+          distance: HexMath.distance(enemy.position, char.position),
+          initiative: this.getCharacterInitiative(char, state),
+          outOfReach: movement > enemy.move ? 1 : 0,
+          health: char.health,
+        };
+      });
 
-      const distance = HexMath.distance(enemy.position, char.position);
-      if (distance < nearestDistance) {
-        nearestDistance = distance;
-        nearest = char;
+    const keys = this.getTactics(state).focusWeakest
+      ? ['outOfReach', 'health', ...this.FOCUS_ORDER]
+      : this.FOCUS_ORDER;
+    candidates.sort((a, b) => this.compareFocus(a, b, keys));
+
+    return candidates[0]?.char || null;
+  },
+
+  // Candidate fields compared when choosing a focus, most important first
+  FOCUS_ORDER: ['movement', 'distance', 'initiative', 'order'],
+
+  /**
+   * Order focus candidates, best first (lower values win)
+   * @param {Object} a - Candidate { movement, distance, initiative, order, ... }
+   * @param {Object} b - Candidate { movement, distance, initiative, order, ... }
+   * @param {Array} keys - Fields to compare, most important first
+   */
+  compareFocus(a, b, keys = this.FOCUS_ORDER) {
+    for (const key of keys) {
+      if (a[key] !== b[key]) return a[key] < b[key] ? -1 : 1;
+    }
+    return 0;
+  },
+
+  /**
+   * Fewest movement points an enemy needs to attack a character
+   * @param {Array} reachable - Hexes the enemy can reach, from getReachable
+   * @returns {number} Movement cost, Infinity if no attack hex can be reached
+   */
+  getMovementToAttack(enemy, target, reachable, state) {
+    if (this.canAttackFrom(enemy.position, enemy, target, state)) return 0;
+
+    let best = Infinity;
+    for (const { hex, distance } of reachable) {
+      if (distance < best && this.canAttackFrom(hex, enemy, target, state)) {
+        best = distance;
       }
     }
+    return best;
+  },
 
-    return nearest;
+  /**
+   * Get a character's initiative this round; characters who played no
+   * cards (or before cards are revealed) come last
+   */
+  getCharacterInitiative(char, state) {
+    const entry = state.turn?.turnOrder?.find(e => e.unit.id === char.id);
+    return entry ? entry.initiative : Infinity;
   },
 
   /**
-   * Find best hex to move toward a target
+   * Find best hex to move toward a target, measuring closeness by the
+   * movement it would take to get there around walls and terrain.
+   * Known traps and hazardous terrain are treated as obstacles; they are only
+   * walked through when avoiding them would leave the enemy no closer.
    */
   findBestMoveToward(enemy, targetPos, moveRange, state) {
-    const reachable = Pathfinding.getReachableHexes(
+    const costs = this.getTravelCosts(targetPos, state, enemy.moveMode);
+    const costTo = (hex) => costs.get(HexMath.key(hex)) ?? Infinity;
+
+    const safeMove = this.findClosestReachable(enemy, costTo, moveRange, state, true);
+
+    if (safeMove && costTo(safeMove) < costTo(enemy.position)) {
+      return safeMove;
+    }
+
+    return this.findClosestReachable(enemy, costTo, moveRange, state, false) || safeMove;
+  },
+
+  /**
+   * Get the hexes an enemy can end its move on, following its movement mode
+   * @param {boolean} avoidDanger - Skip traps and hazardous terrain
+   */
+  getReachable(enemy, moveRange, state, avoidDanger = true) {
+    const mode = enemy.moveMode || CONSTANTS.MOVE_MODES.NORMAL;
+    const canStop = (hex) => this.isWalkable(hex, state) && !(avoidDanger && Combat.isDangerous(hex, state, mode));
+    const canPass = mode === CONSTANTS.MOVE_MODES.NORMAL
+      ? canStop
+      : (hex) => Combat.canPassThrough(hex, state, mode);
+
+    return Pathfinding.getReachableHexes(
       enemy.position,
       moveRange,
-      (hex) => this.isWalkable(hex, state)
+      canStop,
+      (hex) => Combat.getStepCost(hex, state, mode),
+      canPass
     );
+  },
 
-    if (reachable.length === 0) return null;
+  /**
+   * Movement cost from each hex of the room to a target position, following
+   * walls and terrain but ignoring units (they move between turns).
+   * Rooms don't change, so each field is computed once and cached.
+   * @returns {Map} Hex key to movement cost (shared: do not modify)
+   */
+  getTravelCosts(targetPos, state, mode = CONSTANTS.MOVE_MODES.NORMAL) {
+    const cacheKey = `${state.currentRoom}:${HexMath.key(targetPos)}:${mode}`;
+    if (!this.travelCosts.has(cacheKey)) {
+      this.travelCosts.set(cacheKey, this.computeTravelCosts(targetPos, state, mode));
+    }
+    return this.travelCosts.get(cacheKey);
+  },
 
-    // Find the reachable hex closest to target
-    let best = null;
-    let bestDistance = Infinity;
+  /** Travel cost fields by room, target hex and move mode */
+  travelCosts: new Map(),
 
-    for (const { hex } of reachable) {
-      const distance = HexMath.distance(hex, targetPos);
-      if (distance < bestDistance) {
-        bestDistance = distance;
-        best = hex;
-      }
+  /**
+   * Build the travel cost field for getTravelCosts
+   */
+  computeTravelCosts(targetPos, state, mode) {
+    const room = Combat.getRoom(state);
+    const getCost = (hex) => Combat.getStepCost(hex, state, mode);
+    const costs = new Map([[HexMath.key(targetPos), 0]]);
+    const field = Pathfinding.getReachableHexes(
+      targetPos,
+      Infinity,
+      mode === CONSTANTS.MOVE_MODES.NORMAL
+        ? (hex) => Combat.isInBounds(hex, room) && !RoomLayout.blocksMovement(room, hex)
+        : (hex) => Combat.isInBounds(hex, room) && !RoomLayout.isWall(room, hex),
+      getCost
+    );
+
+    // The search runs outward from the target, but costs are paid on entry:
+    // walking back pays for the target hex instead of the starting one
+    const targetCost = getCost(targetPos);
+    for (const { hex, distance } of field) {
+      costs.set(HexMath.key(hex), distance - getCost(hex) + targetCost);
     }
 
-    return best;
+    return costs;
   },
 
   /**
-   * Find position to retreat from target
+   * Find the reachable hex with the lowest travel cost to a target
+   * @param {Function} costTo - Travel cost from a hex to the target
+   * @param {boolean} avoidDanger - Skip traps and hazardous terrain
    */
-  findRetreatPosition(enemy, target, state) {
-    const reachable = Pathfinding.getReachableHexes(
-      enemy.position,
-      enemy.move,
-      (hex) => this.isWalkable(hex, state)
-    );
+  findClosestReachable(enemy, costTo, moveRange, state, avoidDanger) {
+    const reachable = this.getReachable(enemy, moveRange, state, avoidDanger);
 
     if (reachable.length === 0) return null;
 
-    // Find hex that maximizes distance from target while staying in attack range
+    // Find the reachable hex closest to target
     let best = null;
-    let bestScore = -Infinity;
+    let bestDistance = Infinity;
 
     for (const { hex } of reachable) {
-      const distFromTarget = HexMath.distance(hex, target.position);
-
-      // Prefer hexes at optimal range (enemy.range distance)
-      let score = distFromTarget;
-
-      // Bonus for being at optimal range
-      if (distFromTarget === enemy.range) {
-        score += 10;
-      } else if (distFromTarget <= enemy.range && distFromTarget > 1) {
-        score += 5;
-      }
-
-      if (score > bestScore) {
-        bestScore = score;
+      const distance = costTo(hex);
+      if (distance < bestDistance) {
+        bestDistance = distance;
         best = hex;
       }
     }
@@ -225,9 +714,8 @@ const EnemyAI = {
       return false;
     }
 
-    // Check walls
-    const wallSet = new Set((room.walls || []).map(w => HexMath.key(w)));
-    if (wallSet.has(HexMath.key(hex))) return false;
+    // Check walls and obstacles
+    if (RoomLayout.blocksMovement(room, hex)) return false;
 
     // Check character positions
     for (const char of state.characters) {
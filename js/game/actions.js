@@ -20,34 +20,242 @@ Object.assign(Game, {
 
   /**
    * Handle hex click during gameplay
+   * @param {Object} hex - Clicked hex
+   * @param {Event} event - Mouse event; shift-click sets move waypoints
    */
-  onHexClick(hex) {
+  onHexClick(hex, event = {}) {
     const state = this.store.state;
     const currentAction = state.turn.currentAction;
 
-    if (!currentAction) return;
+    // Ignore clicks while a unit is still moving
+    if (!currentAction || UI.isAnimating()) return;
 
-    if (currentAction.type === CONSTANTS.ACTION_TYPES.MOVE) {
-      // Check if hex is in reachable list
-      const isReachable = currentAction.reachableHexes.some(
-        rh => HexMath.equals(rh.hex, hex)
-      );
+    if (this.isMoveAction(currentAction)) {
+      if (!this.isReachableMoveHex(hex, currentAction)) return;
 
-      if (isReachable) {
-        const currentTurn = state.turn.turnOrder[state.turn.currentTurnIndex];
-        Combat.executeMove(currentTurn.unit, hex, state, this.store);
-        this.store.setHighlightedHexes([]);
+      if (event.shiftKey) {
+        this.toggleMoveWaypoint(hex);
+        return;
+      }
+
+      const preview = this.getMovePreview(hex);
+      if (!preview.valid) {
+        UI.addLogMessage('That route is longer than the move allows', CONSTANTS.LOG_TYPES.MOVE);
+        return;
+      }
 
+      const moved = this.moveUnit(this.getMovingUnit(state), hex, {
+        mode: currentAction.mode,
+        path: preview.path,
+      });
+      this.store.setHighlightedHexes([]);
+      UI.clearMovePath();
+
+      moved.then(() => {
         // Check for artifact pickup in room 3
         if (this.checkArtifactPickup(hex)) {
           return; // Victory triggered, don't continue turn
         }
 
+        if (currentAction.type === CONSTANTS.SPECIAL_EFFECTS.GROUP_MOVE) {
+          this.continueGroupMove();
+        } else {
+          this.completeCurrentAction();
+        }
+      }).catch(error => this.recoverFromTurnError(error));
+    } else if (currentAction.type === CONSTANTS.ACTION_TYPES.TRAP) {
+      const isValidHex = currentAction.hexes.some(h => HexMath.equals(h, hex));
+
+      if (isValidHex) {
+        const currentTurn = state.turn.turnOrder[state.turn.currentTurnIndex];
+        Combat.executeTrap(currentTurn.unit, hex, currentAction, state, this.store);
+        this.store.setHighlightedHexes([]);
         this.completeCurrentAction();
       }
     }
   },
 
+  /**
+   * Check if an action lets the player pick a destination hex
+   */
+  isMoveAction(action) {
+    return action?.type === CONSTANTS.ACTION_TYPES.MOVE || action?.type === CONSTANTS.SPECIAL_EFFECTS.GROUP_MOVE;
+  },
+
+  /**
+   * Check if a hex is a destination of the active move
+   */
+  isReachableMoveHex(hex, action) {
+    return Boolean(hex) && this.isMoveAction(action) &&
+      action.reachableHexes.some(rh => HexMath.equals(rh.hex, hex));
+  },
+
+  /**
+   * Get the unit moved by the active move (the ally in turn during a group move)
+   */
+  getMovingUnit(state) {
+    const currentAction = state.turn.currentAction;
+    if (currentAction.type === CONSTANTS.SPECIAL_EFFECTS.GROUP_MOVE) {
+      return state.characters.find(c => c.id === currentAction.queue[0]);
+    }
+    const currentTurn = state.turn.turnOrder[state.turn.currentTurnIndex];
+    return StatusEffects.getUnit(currentTurn.unit.id, state);
+  },
+
+  /**
+   * Work out the route the active move takes to a hex, through any waypoints
+   * @returns {Object} { path, steps, waypoints, warnings, routes, valid }
+   */
+  getMovePreview(targetHex) {
+    const state = this.store.state;
+    const currentAction = state.turn.currentAction;
+    const unit = this.getMovingUnit(state);
+    const mode = currentAction.mode || CONSTANTS.MOVE_MODES.NORMAL;
+    const waypoints = currentAction.waypoints || [];
+
+    const path = Combat.findMovePathVia(unit, waypoints, targetHex, state, mode, currentAction.moveRange);
+
+    // Movement spent on arriving at each hex of the path
+    let spent = 0;
+    const steps = path.map((hex, i) => (spent += i === 0 ? 0 : Combat.getStepCost(hex, state, mode)));
+
+    const legStart = waypoints.length > 0 ? waypoints[waypoints.length - 1] : unit.position;
+
+    return {
+      path,
+      steps,
+      waypoints,
+      warnings: Combat.getPathWarnings(path, state, mode),
+      routes: Combat.countShortestPaths(legStart, targetHex, state, mode),
+      valid: path.length > 0 && spent <= currentAction.moveRange,
+    };
+  },
+
+  /**
+   * Draw the route to a hovered hex, or the route through the chosen
+   * waypoints when no hex is given
+   */
+  showMoveRoute(hex) {
+    const waypoints = this.store.state.turn.currentAction?.waypoints || [];
+    const target = hex || waypoints[waypoints.length - 1];
+
+    if (target) {
+      UI.renderMovePath(this.getMovePreview(target));
+    } else {
+      UI.clearMovePath();
+    }
+  },
+
+  /**
+   * Handle the mouse entering a hex: preview the move route to it and,
+   * while dragging, extend the route through it
+   */
+  onHexHover(hex) {
+    const currentAction = this.store.state.turn.currentAction;
+    if (UI.isAnimating()) return;
+
+    if (currentAction?.type === CONSTANTS.ACTION_TYPES.ATTACK) {
+      this.showAttackForecast(hex);
+      return;
+    }
+
+    if (!this.isReachableMoveHex(hex, currentAction)) {
+      if (this.isMoveAction(currentAction)) this.showMoveRoute(null);
+      return;
+    }
+
+    if (this.routeDrag) {
+      this.extendDraggedRoute(hex);
+    }
+
+    this.showMoveRoute(hex);
+  },
+
+  /**
+   * Most extra targets an AOE attack hits ("hit 2 adjacent" style for radius 1)
+   */
+  getAoeLimit(action) {
+    return action.aoeRadius === 1 ? 2 : null;
+  },
+
+  /**
+   * Show the forecast for the active attack against the enemy on a hex
+   */
+  showAttackForecast(hex) {
+    const state = this.store.state;
+    const currentAction = state.turn.currentAction;
+    const target = hex && Combat.getEnemyAt(hex, state);
+
+    if (!target || !currentAction.targets.some(t => t.unit.id === target.id)) {
+      UI.hideAttackForecast();
+      return;
+    }
+
+    const currentTurn = state.turn.turnOrder[state.turn.currentTurnIndex];
+    const forecast = Combat.forecastAttack(currentTurn.unit, target, currentAction.damage, state, {
+      range: currentAction.range,
+      pierce: currentAction.pierce,
+      aoeRadius: currentAction.aoe ? currentAction.aoeRadius : 0,
+      maxAdditional: this.getAoeLimit(currentAction),
+      push: currentAction.push,
+    });
+    UI.renderAttackForecast(target, forecast);
+  },
+
+  /**
+   * Start dragging a route when the mouse is pressed on the moving unit
+   */
+  onHexDragStart(hex) {
+    const state = this.store.state;
+    if (!this.isMoveAction(state.turn.currentAction)) return;
+
+    const unit = this.getMovingUnit(state);
+    if (unit && HexMath.equals(unit.position, hex)) {
+      this.routeDrag = true;
+      this.setMoveWaypoints([]);
+    }
+  },
+
+  /**
+   * Add a dragged-over hex to the route if the move can still reach it
+   */
+  extendDraggedRoute(hex) {
+    const waypoints = this.store.state.turn.currentAction.waypoints || [];
+    const last = waypoints[waypoints.length - 1];
+    if (last && HexMath.equals(last, hex)) return;
+
+    if (this.getMovePreview(hex).valid) {
+      this.setMoveWaypoints([...waypoints, hex]);
+    }
+  },
+
+  /**
+   * Add a waypoint to the route, or remove it if it is the last one
+   */
+  toggleMoveWaypoint(hex) {
+    const waypoints = this.store.state.turn.currentAction.waypoints || [];
+    const last = waypoints[waypoints.length - 1];
+
+    if (last && HexMath.equals(last, hex)) {
+      this.setMoveWaypoints(waypoints.slice(0, -1));
+      return;
+    }
+
+    if (!this.getMovePreview(hex).valid) {
+      UI.addLogMessage('That waypoint is out of reach', CONSTANTS.LOG_TYPES.MOVE);
+      return;
+    }
+
+    this.setMoveWaypoints([...waypoints, hex]);
+  },
+
+  /**
+   * Store the waypoints of the active move
+   */
+  setMoveWaypoints(waypoints) {
+    this.store.setCurrentAction({ ...this.store.state.turn.currentAction, waypoints });
+  },
+
   /**
    * Handle unit click during gameplay
    */
@@ -66,15 +274,23 @@ Object.assign(Game, {
 
         if (currentAction.aoe) {
           // AOE attack - hit primary target and nearby enemies
-          // "hit 2 adjacent" style uses maxAdditional of 2
-          const maxAdditional = currentAction.aoeRadius === 1 ? 2 : null;
-          Combat.executeAoeAttack(currentTurn.unit, unit, currentAction.damage, currentAction.aoeRadius, state, this.store, maxAdditional);
+          Combat.executeAoeAttack(currentTurn.unit, unit, currentAction.damage, currentAction.aoeRadius, state, this.store, this.getAoeLimit(currentAction), {
+            effects: currentAction.effects,
+            range: currentAction.range,
+            curse: currentAction.curse,
+            pierce: currentAction.pierce,
+          });
         } else {
-          Combat.executeAttack(currentTurn.unit, unit, currentAction.damage, state, this.store, currentAction.stun);
+          Combat.executeAttack(currentTurn.unit, unit, currentAction.damage, state, this.store, {
+            effects: currentAction.effects,
+            range: currentAction.range,
+            curse: currentAction.curse,
+            pierce: currentAction.pierce,
+          });
         }
 
-        // Apply push if attack has push property
-        if (currentAction.push > 0) {
+        // Apply push if attack has push property and the attacker survived retaliation
+        if (currentAction.push > 0 && this.store.state.phase !== CONSTANTS.PHASES.DEFEAT) {
           const updatedState = this.store.state;
           const updatedTarget = updatedState.enemies.find(e => e.id === unit.id);
           if (updatedTarget && updatedTarget.health > 0) {
@@ -101,14 +317,37 @@ Object.assign(Game, {
       if (isValidTarget) {
         const currentTurn = state.turn.turnOrder[state.turn.currentTurnIndex];
         Combat.executeHeal(currentTurn.unit, unit, currentAction.amount, state, this.store);
+        Combat.grantBless(unit, currentAction.bless, this.store);
+        StatusEffects.applyAll(unit, currentAction.effects, this.store.state, this.store, currentTurn.unit.shortName);
         this.store.setHighlightedHexes([]);
         this.completeCurrentAction();
       }
     } else if (currentAction.type === CONSTANTS.ACTION_TYPES.SHIELD && type === CONSTANTS.UNIT_TYPES.CHARACTER) {
       const currentTurn = state.turn.turnOrder[state.turn.currentTurnIndex];
       Combat.executeShield(currentTurn.unit, unit, currentAction.amount, state, this.store);
+      Combat.grantBless(unit, currentAction.bless, this.store);
+      Combat.grantRetaliate(unit, currentAction.retaliate, this.store);
+      StatusEffects.applyAll(unit, currentAction.effects, this.store.state, this.store, currentTurn.unit.shortName);
       this.store.setHighlightedHexes([]);
       this.completeCurrentAction();
+    } else if (currentAction.type === CONSTANTS.ACTION_TYPES.BUFF && type === CONSTANTS.UNIT_TYPES.CHARACTER) {
+      const isValidTarget = currentAction.targets.some(t => t.unit.id === unit.id);
+
+      if (isValidTarget) {
+        const currentTurn = state.turn.turnOrder[state.turn.currentTurnIndex];
+        Combat.executeBuff(currentTurn.unit, unit, currentAction.action, state, this.store);
+        this.store.setHighlightedHexes([]);
+        this.completeCurrentAction();
+      }
+    } else if (currentAction.type === CONSTANTS.SPECIAL_EFFECTS.CANCEL_TURN && type === CONSTANTS.UNIT_TYPES.ENEMY) {
+      const isValidTarget = currentAction.targets.some(t => t.unit.id === unit.id);
+
+      if (isValidTarget) {
+        const currentTurn = state.turn.turnOrder[state.turn.currentTurnIndex];
+        Combat.executeCancelTurn(currentTurn.unit, unit, state, this.store);
+        this.store.setHighlightedHexes([]);
+        this.completeCurrentAction();
+      }
     }
   },
 
@@ -119,10 +358,17 @@ Object.assign(Game, {
     const state = this.store.state;
     const currentAction = state.turn.currentAction;
 
-    if (!currentAction) return;
+    if (!currentAction || UI.isAnimating()) return;
 
     EventBus.emit('action:skipped', {});
     this.store.setHighlightedHexes([]);
+
+    // Skipping during a group move only skips the current ally
+    if (currentAction.type === CONSTANTS.SPECIAL_EFFECTS.GROUP_MOVE) {
+      this.continueGroupMove();
+      return;
+    }
+
     UI.showSkipButton(false);
     this.completeCurrentAction();
   },
@@ -260,6 +506,15 @@ Object.assign(Game, {
     // Clear shields
     Combat.clearShields(this.store.state, this.store);
 
+    // Expire buffs that have outlasted their duration
+    this.store.tickEffects();
+
+    // Reshuffle modifier decks that drew x2 or MISS this round
+    this.store.reshuffleModifierDecks();
+
+    // Reshuffle enemy ability decks that drew a shuffle card
+    this.store.reshuffleEnemyDecks();
+
     // Clear resting status from characters
     const characters = this.store.state.characters.map(c => ({
       ...c,
@@ -273,6 +528,7 @@ Object.assign(Game, {
       if (currentRoom < CONSTANTS.GAME.TOTAL_ROOMS) {
         UI.addLogMessage(`Room ${currentRoom} cleared! Advancing...`, CONSTANTS.LOG_TYPES.HEAL);
         this.store.advanceRoom();
+        this.store.initializeEnemies(currentRoom);
         this.store.clearCardSelections();
         UI.addLogMessage(`Entering: ${GameData.rooms[currentRoom].name}`, CONSTANTS.LOG_TYPES.MOVE);
       } else {
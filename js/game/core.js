@@ -6,6 +6,9 @@
 const Game = {
   store: null,
 
+  // Whether the player is dragging out a move route
+  routeDrag: false,
+
   /**
    * Initialize the game
    */
@@ -23,6 +26,15 @@ const Game = {
         // Current room (1-3)
         currentRoom: 1,
 
+        // Scenario level (0-3) used to look up enemy stats
+        scenarioLevel: CONSTANTS.GAME.DEFAULT_SCENARIO_LEVEL,
+
+        // Difficulty chosen on the mission brief (adjusts enemy level and AI)
+        difficulty: CONSTANTS.GAME.DEFAULT_DIFFICULTY,
+
+        // Whether enemies plan with the lookahead AI
+        lookaheadAI: false,
+
         // Player characters
         characters: [],
 
@@ -42,11 +54,19 @@ const Game = {
         // Attack modifier decks
         modifierDecks: {},
 
+        // Enemy ability decks, keyed by enemy type
+        enemyDecks: {},
+
+        // Trap tokens on the board, keyed by room id
+        traps: {},
+
         // UI state
         ui: {
           selectedCharacter: null,
           highlightedHexes: [],
           selectedUnit: null,
+          // Draw the enemies' planned moves and targets during the round
+          showIntent: false,
         },
       }),
 
@@ -63,6 +83,14 @@ const Game = {
           return state.turn.turnOrder[state.turn.currentTurnIndex] || null;
         },
 
+        modifierDeckComposition(state) {
+          const composition = {};
+          for (const [deckId, deckState] of Object.entries(state.modifierDecks)) {
+            composition[deckId] = ModifierDeck.getComposition(deckState);
+          }
+          return composition;
+        },
+
         allCardsSelected(state) {
           // Check each character
           for (const char of state.characters) {
@@ -109,24 +137,12 @@ const Game = {
 
         initializeEnemies(roomIndex) {
           const room = GameData.rooms[roomIndex];
+          const level = Combat.getEnemyLevel(this.state, roomIndex);
           let enemyId = 0;
 
-          const enemies = room.enemies.map(enemyDef => {
-            const template = GameData.enemies[enemyDef.type];
-            return {
-              id: `enemy_${enemyId++}`,
-              type: enemyDef.type,
-              name: template.name,
-              health: template.maxHealth,
-              maxHealth: template.maxHealth,
-              position: { ...enemyDef.position },
-              move: template.move,
-              attack: template.attack,
-              range: template.range,
-              ai: template.ai,
-              stunned: false,
-            };
-          });
+          const enemies = room.enemies.map(enemyDef =>
+            Combat.createEnemy(enemyDef, `enemy_${enemyId++}`, level)
+          );
 
           this.setState({ enemies });
         },
@@ -141,6 +157,20 @@ const Game = {
           });
         },
 
+        setDifficulty(difficulty) {
+          this.setState({ difficulty });
+        },
+
+        setLookahead(enabled) {
+          this.setState({ lookaheadAI: enabled });
+        },
+
+        toggleIntent() {
+          this.setState({
+            ui: { showIntent: !this.state.ui.showIntent },
+          });
+        },
+
         setHighlightedHexes(hexes) {
           this.setState({
             ui: { ...this.state.ui, highlightedHexes: hexes },
@@ -148,9 +178,10 @@ const Game = {
         },
 
         setCurrentAction(action) {
+          // Replace, so the new action doesn't keep fields of the previous one
           this.setState({
             turn: { ...this.state.turn, currentAction: action },
-          });
+          }, { replace: true });
         },
 
         selectCard(characterId, card) {
@@ -188,6 +219,7 @@ const Game = {
             };
           }
 
+          // Replace so the new cards aren't deep-merged into the old ones
           this.setState({
             turn: {
               ...this.state.turn,
@@ -196,62 +228,160 @@ const Game = {
                 [characterId]: newSelection,
               },
             },
-          });
+          }, { replace: true });
         },
 
-        damageCharacter(characterId, amount) {
-          const characters = [...this.state.characters];
-          const char = characters.find(c => c.id === characterId);
+        damageCharacter(characterId, amount, options = {}) {
+          const { pierce = 0, ignoreShield = false } = options;
+          const char = this.state.characters.find(c => c.id === characterId);
+          if (!char) return { absorbed: 0, dealt: 0 };
 
-          if (char) {
-            const shieldAbsorb = Math.min(char.shield, amount);
-            char.shield -= shieldAbsorb;
-            const remainingDamage = amount - shieldAbsorb;
+          // Immune characters ignore all incoming damage
+          if (char.effects.some(e => e.type === CONSTANTS.EFFECT_TYPES.IMMUNE)) {
+            EventBus.emit('unit:immune', { name: char.shortName, position: char.position });
+            return { absorbed: 0, dealt: 0 };
+          }
 
-            char.health = Math.max(0, char.health - remainingDamage);
-            this.setState({ characters });
+          // Shield points are spent as they absorb damage; pierce bypasses them
+          const shield = ignoreShield ? 0 : Math.max(0, char.shield - pierce);
+          const absorbed = Math.min(shield, amount);
+          const dealt = Math.min(char.health, amount - absorbed);
+          const health = char.health - dealt;
 
-            if (char.health <= 0) {
-              this.setState({ phase: CONSTANTS.PHASES.DEFEAT });
-            }
+          const characters = this.state.characters.map(c =>
+            c.id === characterId ? { ...c, shield: c.shield - absorbed, health } : c
+          );
+          this.setState({ characters });
+
+          if (health <= 0) {
+            this.setState({ phase: CONSTANTS.PHASES.DEFEAT });
           }
+
+          return { absorbed, dealt };
         },
 
-        damageEnemy(enemyId, amount) {
-          const enemies = [...this.state.enemies];
-          const enemy = enemies.find(e => e.id === enemyId);
+        damageEnemy(enemyId, amount, options = {}) {
+          const { pierce = 0, ignoreShield = false } = options;
+          const enemy = this.state.enemies.find(e => e.id === enemyId);
+          if (!enemy) return { absorbed: 0, dealt: 0 };
 
-          if (enemy) {
-            enemy.health -= amount;
+          // Innate shields reduce every attack and are never used up
+          const shield = ignoreShield ? 0 : Math.max(0, enemy.shield - pierce);
+          const absorbed = Math.min(shield, amount);
+          const dealt = Math.min(enemy.health, amount - absorbed);
+          const health = enemy.health - dealt;
 
-            if (enemy.health <= 0) {
-              this.setState({
-                enemies: enemies.filter(e => e.id !== enemyId),
-              });
-            } else {
-              this.setState({ enemies });
-            }
+          if (health <= 0) {
+            this.setState({
+              enemies: this.state.enemies.filter(e => e.id !== enemyId),
+            });
+            return { absorbed, dealt };
           }
+
+          // Bosses change phase as their health falls past each threshold
+          const phase = enemy.boss ? Combat.getBossPhase(enemy, health) : 0;
+          const phaseChanged = enemy.boss && phase > enemy.phase;
+          const changes = phaseChanged ? Combat.getBossPhaseChanges(enemy, phase) : {};
+
+          this.setState({
+            enemies: this.state.enemies.map(e => (e.id === enemyId ? { ...e, ...changes, health } : e)),
+          });
+
+          if (phaseChanged) {
+            EventBus.emit('boss:phase', { name: enemy.name, phase: GameData.enemies[enemy.type].phases[phase].name });
+          }
+
+          return { absorbed, dealt };
+        },
+
+        summonEnemies(bossId, summons) {
+          this.setState({
+            enemies: [
+              ...this.state.enemies.map(e => (e.id === bossId ? { ...e, summoned: e.summoned + summons.length } : e)),
+              ...summons,
+            ],
+          });
+        },
+
+        clearPendingScripts(enemyId) {
+          this.setState({
+            enemies: this.state.enemies.map(e => (e.id === enemyId ? { ...e, pendingScripts: [] } : e)),
+          });
+        },
+
+        placeTrap(trap) {
+          const roomTraps = this.state.traps[this.state.currentRoom] || [];
+          this.setState({
+            traps: { [this.state.currentRoom]: [...roomTraps, trap] },
+          });
         },
 
-        stunEnemy(enemyId) {
-          const enemies = this.state.enemies.map(e => {
-            if (e.id === enemyId) {
-              return { ...e, stunned: true };
+        removeTrap(trapId) {
+          const roomTraps = this.state.traps[this.state.currentRoom] || [];
+          this.setState({
+            traps: { [this.state.currentRoom]: roomTraps.filter(t => t.id !== trapId) },
+          });
+        },
+
+        addEffect(unitId, effect) {
+          const addTo = u => (u.id === unitId ? { ...u, effects: [...u.effects, effect] } : u);
+          this.setState({
+            characters: this.state.characters.map(addTo),
+            enemies: this.state.enemies.map(addTo),
+          });
+        },
+
+        removeEffects(unitId, types) {
+          const removeFrom = u => (u.id === unitId ? { ...u, effects: u.effects.filter(e => !types.includes(e.type)) } : u);
+          this.setState({
+            characters: this.state.characters.map(removeFrom),
+            enemies: this.state.enemies.map(removeFrom),
+          });
+        },
+
+        recoverCards(characterId, count) {
+          // Most recently discarded cards come back first
+          const char = this.state.characters.find(c => c.id === characterId);
+          if (!char) return [];
+
+          const recovered = char.discard.slice(-count);
+          const characters = this.state.characters.map(c => {
+            if (c.id === characterId) {
+              return {
+                ...c,
+                hand: [...c.hand, ...recovered],
+                discard: c.discard.slice(0, c.discard.length - recovered.length),
+              };
             }
-            return e;
+            return c;
           });
-          this.setState({ enemies });
+          this.setState({ characters });
+
+          EventBus.emit('cards:recovered', {
+            name: char.shortName,
+            cards: recovered.map(card => card.name),
+          });
+          return recovered;
         },
 
-        clearEnemyStun(enemyId) {
-          const enemies = this.state.enemies.map(e => {
-            if (e.id === enemyId) {
-              return { ...e, stunned: false };
+        tickEffects() {
+          // Durations count end-of-round ticks; expired effects are dropped.
+          // Effects without a duration (poison, wound) last until removed.
+          const tick = unit => {
+            const effects = [];
+            for (const effect of unit.effects) {
+              if (effect.duration === null || effect.duration > 1) {
+                effects.push(effect.duration === null ? effect : { ...effect, duration: effect.duration - 1 });
+              } else {
+                EventBus.emit('effect:expired', { name: unit.shortName || unit.name, effect });
+              }
             }
-            return e;
+            return { ...unit, effects };
+          };
+          this.setState({
+            characters: this.state.characters.map(tick),
+            enemies: this.state.enemies.map(tick),
           });
-          this.setState({ enemies });
         },
 
         advanceRoom() {
@@ -271,15 +401,18 @@ const Game = {
               currentRoom: nextRoom,
               characters,
             });
-            this.initializeEnemies(nextRoom - 1);
           }
         },
 
         clearCardSelections() {
+          // Null out each selection: deep-merging {} would keep last round's cards
+          const selectedCards = Object.fromEntries(
+            Object.keys(this.state.turn.selectedCards).map(id => [id, null])
+          );
           this.setState({
             turn: {
               ...this.state.turn,
-              selectedCards: {},
+              selectedCards,
               phase: CONSTANTS.PHASES.SELECTION,
               currentAction: null,
             },
@@ -350,14 +483,80 @@ const Game = {
           this.setState({ modifierDecks: decks });
         },
 
-        drawModifier(deckId) {
+        addModifierCard(deckId, kind, count = 1) {
+          const decks = { ...this.state.modifierDecks };
+          const deckState = decks[deckId];
+          if (!deckState) return;
+
+          const room = CONSTANTS.LIMITS.MAX_TEMPORARY_MODIFIERS - ModifierDeck.countTemporary(deckState, kind);
+          const added = Math.min(count, room);
+          for (let i = 0; i < added; i++) {
+            ModifierDeck.insert(deckState, ModifierDeck.createTemporaryCard(kind));
+          }
+          this.setState({ modifierDecks: decks });
+
+          const char = this.state.characters.find(c => c.id === deckId);
+          EventBus.emit('modifier:added', {
+            deckId,
+            name: char ? char.shortName : 'Monster',
+            kind,
+            count: added,
+          });
+        },
+
+        reshuffleModifierDecks() {
+          // x2 and MISS flag their deck for a reshuffle at the end of the round
+          const decks = { ...this.state.modifierDecks };
+          for (const [deckId, deckState] of Object.entries(decks)) {
+            if (!deckState.needsReshuffle) continue;
+
+            ModifierDeck.reshuffle(deckState);
+            const char = this.state.characters.find(c => c.id === deckId);
+            EventBus.emit('modifier:reshuffled', {
+              deckId,
+              name: char ? char.shortName : 'Monster',
+            });
+          }
+          this.setState({ modifierDecks: decks });
+        },
+
+        drawEnemyAbilities() {
+          // One card per enemy type still on the board
+          const decks = { ...this.state.enemyDecks };
+          const types = [...new Set(this.state.enemies.map(e => e.type))];
+
+          for (const type of types) {
+            const deckState = decks[type] || AbilityDeck.createDeck(type);
+            const card = AbilityDeck.draw(deckState);
+            decks[type] = deckState;
+            EventBus.emit('ability:drawn', { name: GameData.enemies[type].name, card });
+          }
+          this.setState({ enemyDecks: decks });
+        },
+
+        reshuffleEnemyDecks() {
+          // Decks that drew a shuffle card are reshuffled at the end of the round
+          const decks = { ...this.state.enemyDecks };
+          for (const [type, deckState] of Object.entries(decks)) {
+            if (!deckState.needsShuffle) continue;
+
+            AbilityDeck.reshuffle(deckState);
+            EventBus.emit('ability:reshuffled', { name: GameData.enemies[type].name });
+          }
+          this.setState({ enemyDecks: decks });
+        },
+
+        drawModifier(deckId, damage = 0, mode = CONSTANTS.DRAW_MODES.NORMAL) {
           const decks = { ...this.state.modifierDecks };
           const deckState = decks[deckId];
-          if (!deckState) return { value: 0, type: 'add', label: '+0' };
+          if (!deckState) {
+            const blank = { value: 0, type: 'add', label: '+0' };
+            return { modifier: blank, drawn: [blank] };
+          }
 
-          const modifier = ModifierDeck.draw(deckState);
+          const result = ModifierDeck.drawForAttack(deckState, damage, mode);
           this.setState({ modifierDecks: decks });
-          return modifier;
+          return result;
         },
       },
     });
@@ -374,11 +573,14 @@ const Game = {
     this.bindEvents();
 
     // Set up hex click handler
-    UI.onHexClick = (hex) => this.onHexClick(hex);
+    UI.onHexClick = (hex, event) => this.onHexClick(hex, event);
     UI.onUnitClick = (unit, type) => this.onUnitClick(unit, type);
+    UI.onHexHover = (hex) => this.onHexHover(hex);
+    UI.onHexDragStart = (hex) => this.onHexDragStart(hex);
 
     // Show briefing screen
     UI.showScreen('mission-brief');
+    this.render(this.store.state);
 
     console.log('Stargate Tactics initialized!');
   },
@@ -417,6 +619,26 @@ const Game = {
     UI.elements.longRest?.addEventListener('click', () => {
       this.performLongRest();
     });
+
+    // Lookahead AI option on the mission brief
+    UI.elements.toggleLookahead?.addEventListener('change', (e) => {
+      this.store.setLookahead(e.target.checked);
+    });
+
+    // Enemy intent toggle
+    UI.elements.toggleIntent?.addEventListener('click', () => {
+      this.store.toggleIntent();
+    });
+
+    // Animations toggle
+    UI.elements.toggleAnimations?.addEventListener('click', () => {
+      UI.setAnimateMoves(!UI.animateMoves);
+    });
+
+    // Finish dragging a move route wherever the mouse is released
+    document.addEventListener('mouseup', () => {
+      this.routeDrag = false;
+    });
   },
 
   /**
@@ -428,8 +650,12 @@ const Game = {
     });
 
     EventBus.on('unit:damaged', (data) => {
+      const breakdown = [
+        data.absorbed > 0 ? `${data.absorbed} absorbed by shield` : '',
+        data.pierce > 0 ? `pierce ${data.pierce}` : '',
+      ].filter(Boolean).join(', ');
       UI.addLogMessage(
-        `${data.attackerName} attacks ${data.targetName} for ${data.damage} damage! (${data.newHealth}/${data.maxHealth})`,
+        `${data.attackerName} attacks ${data.targetName} for ${data.damage} damage${breakdown ? ` (${breakdown})` : ''}! (${data.newHealth}/${data.maxHealth})`,
         CONSTANTS.LOG_TYPES.ATTACK
       );
       if (data.attackerPosition && data.position) {
@@ -438,6 +664,9 @@ const Game = {
       if (data.position) {
         UI.showDamageFlash(data.position);
         UI.showFloatingNumber(data.position, `-${data.damage}`, 'damage');
+        if (data.absorbed > 0) {
+          UI.showFloatingNumber(data.position, `(${data.absorbed} blocked)`, 'shield', CONSTANTS.FLOATING_NUMBER.STACK_OFFSET_Y);
+        }
       }
     });
 
@@ -449,8 +678,55 @@ const Game = {
       }
     });
 
-    EventBus.on('unit:stunned', (data) => {
-      UI.addLogMessage(`${data.name} is stunned!`, CONSTANTS.LOG_TYPES.ATTACK);
+    EventBus.on('status:resisted', (data) => {
+      UI.addLogMessage(`${data.name} is immune to ${data.type.toUpperCase()}`, '');
+      if (data.position) {
+        UI.showFloatingNumber(data.position, 'IMMUNE', 'buff');
+      }
+    });
+
+    EventBus.on('boss:phase', (data) => {
+      UI.addLogMessage(`${data.name} enters a new phase: ${data.phase}!`, CONSTANTS.LOG_TYPES.ATTACK);
+    });
+
+    EventBus.on('boss:script', (data) => {
+      UI.addLogMessage(`${data.name} uses ${data.ability}!`, CONSTANTS.LOG_TYPES.ATTACK);
+    });
+
+    EventBus.on('boss:summoned', (data) => {
+      let message = `${data.name}'s summons find no room`;
+      if (data.exhausted) {
+        message = `No more ${data.summonName}s answer ${data.name}'s call`;
+      } else if (data.count > 0) {
+        message = `${data.name} summons ${data.count} ${data.summonName}(s)!`;
+      }
+      UI.addLogMessage(message, CONSTANTS.LOG_TYPES.ATTACK);
+    });
+
+    EventBus.on('status:applied', (data) => {
+      UI.addLogMessage(`${data.name} is affected by ${data.effect.type.toUpperCase()}`, CONSTANTS.LOG_TYPES.ATTACK);
+      if (data.position) {
+        UI.showFloatingNumber(data.position, UI.getEffectLabel(data.effect), 'buff');
+      }
+    });
+
+    EventBus.on('status:damage', (data) => {
+      UI.addLogMessage(
+        `${data.name} suffers ${data.damage} damage from ${data.type.toUpperCase()} (${data.newHealth}/${data.maxHealth})`,
+        CONSTANTS.LOG_TYPES.ATTACK
+      );
+      if (data.position) {
+        UI.showDamageFlash(data.position);
+        UI.showFloatingNumber(data.position, `-${data.damage}`, 'damage');
+      }
+    });
+
+    EventBus.on('status:cured', (data) => {
+      UI.addLogMessage(`${data.name} is cured of ${data.types.map(t => t.toUpperCase()).join(' and ')}`, CONSTANTS.LOG_TYPES.HEAL);
+    });
+
+    EventBus.on('action:prevented', (data) => {
+      UI.addLogMessage(`${data.name} cannot use ${data.text} (${data.status.toUpperCase()})`, CONSTANTS.LOG_TYPES.ATTACK);
     });
 
     EventBus.on('attack:aoe', (data) => {
@@ -484,6 +760,94 @@ const Game = {
       }
     });
 
+    EventBus.on('unit:buffed', (data) => {
+      UI.addLogMessage(`${data.casterName} grants ${data.targetName} ${UI.getEffectLabel(data.effect)}!`, CONSTANTS.LOG_TYPES.HEAL);
+      if (data.position) {
+        UI.showFloatingNumber(data.position, UI.getEffectLabel(data.effect), 'buff');
+      }
+    });
+
+    EventBus.on('effect:expired', (data) => {
+      UI.addLogMessage(`${data.name}'s ${UI.getEffectLabel(data.effect)} wore off`, '');
+    });
+
+    EventBus.on('trap:placed', (data) => {
+      UI.addLogMessage(`${data.name} sets a trap at (${data.position.q}, ${data.position.r})`, CONSTANTS.LOG_TYPES.MOVE);
+    });
+
+    EventBus.on('trap:triggered', (data) => {
+      UI.addLogMessage(
+        `${data.name} triggers a trap for ${data.damage} damage! (${data.newHealth}/${data.maxHealth})`,
+        CONSTANTS.LOG_TYPES.ATTACK
+      );
+      if (data.position) {
+        UI.showDamageFlash(data.position);
+        UI.showFloatingNumber(data.position, `-${data.damage}`, 'damage');
+      }
+    });
+
+    EventBus.on('terrain:hazard', (data) => {
+      UI.addLogMessage(
+        `${data.name} is hurt by hazardous terrain for ${data.damage} damage! (${data.newHealth}/${data.maxHealth})`,
+        CONSTANTS.LOG_TYPES.ATTACK
+      );
+      if (data.position) {
+        UI.showDamageFlash(data.position);
+        UI.showFloatingNumber(data.position, `-${data.damage}`, 'damage');
+      }
+    });
+
+    EventBus.on('unit:immune', (data) => {
+      UI.addLogMessage(`${data.name} is immune to damage!`, CONSTANTS.LOG_TYPES.HEAL);
+      if (data.position) {
+        UI.showFloatingNumber(data.position, 'IMMUNE', 'buff');
+      }
+    });
+
+    EventBus.on('unit:retaliated', (data) => {
+      UI.addLogMessage(
+        `${data.retaliatorName} retaliates against ${data.targetName} for ${data.damage} damage! (${data.newHealth}/${data.maxHealth})`,
+        CONSTANTS.LOG_TYPES.ATTACK
+      );
+      if (data.sourcePosition && data.position) {
+        UI.showAttackProjectile(data.sourcePosition, data.position);
+      }
+      if (data.position) {
+        UI.showDamageFlash(data.position);
+        UI.showFloatingNumber(data.position, `-${data.damage}`, 'damage');
+      }
+    });
+
+    EventBus.on('retaliate:granted', (data) => {
+      UI.addLogMessage(`${data.name} will Retaliate ${data.value} this round`, CONSTANTS.LOG_TYPES.HEAL);
+      if (data.position) {
+        UI.showFloatingNumber(data.position, `RET ${data.value}`, 'buff');
+      }
+    });
+
+    EventBus.on('unit:immunity', (data) => {
+      UI.addLogMessage(`${data.name} cannot be damaged this round`, CONSTANTS.LOG_TYPES.HEAL);
+      if (data.position) {
+        UI.showFloatingNumber(data.position, 'IMMUNE', 'buff');
+      }
+    });
+
+    EventBus.on('cards:recovered', (data) => {
+      if (data.cards.length === 0) {
+        UI.addLogMessage(`${data.name} has no discarded cards to recover`, '');
+        return;
+      }
+      UI.addLogMessage(`${data.name} recovers ${data.cards.map(name => `"${name}"`).join(', ')}`, CONSTANTS.LOG_TYPES.HEAL);
+    });
+
+    EventBus.on('turn:cancelled', (data) => {
+      UI.addLogMessage(`${data.casterName} cancels ${data.targetName}'s turn!`, CONSTANTS.LOG_TYPES.ATTACK);
+    });
+
+    EventBus.on('turn:skipped', (data) => {
+      UI.addLogMessage(`${data.name}'s turn is skipped`, CONSTANTS.LOG_TYPES.ATTACK);
+    });
+
     EventBus.on('action:special', (data) => {
       UI.addLogMessage(`${data.name} uses ${data.text}`, CONSTANTS.LOG_TYPES.MOVE);
     });
@@ -496,12 +860,16 @@ const Game = {
       }
     });
 
-    EventBus.on('enemy:stunned-skip', (data) => {
+    EventBus.on('turn:stunned', (data) => {
       UI.addLogMessage(`${data.name} is stunned and cannot act!`, CONSTANTS.LOG_TYPES.ATTACK);
     });
 
+    EventBus.on('enemy:focus', (data) => {
+      UI.addLogMessage(`${data.name} focuses on ${data.target.shortName || data.target.name}`, '');
+    });
+
     EventBus.on('enemy:wait', (data) => {
-      UI.addLogMessage(`${data.name} waits`, '');
+      UI.addLogMessage(data.reason ? `${data.name} waits (${data.reason.toUpperCase()})` : `${data.name} waits`, '');
     });
 
     EventBus.on('action:skipped', () => {
@@ -525,13 +893,40 @@ const Game = {
       UI.addLogMessage(`${data.characterName}'s "${data.name}" burned!`, CONSTANTS.LOG_TYPES.ATTACK);
     });
 
+    EventBus.on('modifier:added', (data) => {
+      if (data.count === 0) {
+        UI.addLogMessage(`${data.name} modifier deck can't hold more ${data.kind.toUpperCase()} cards`, '');
+        return;
+      }
+      const logType = data.kind === CONSTANTS.MODIFIER_CARDS.BLESS ? CONSTANTS.LOG_TYPES.HEAL : CONSTANTS.LOG_TYPES.ATTACK;
+      UI.addLogMessage(`${data.count}x ${data.kind.toUpperCase()} shuffled into ${data.name} modifier deck`, logType);
+    });
+
+    EventBus.on('modifier:reshuffled', (data) => {
+      UI.addLogMessage(`${data.name} modifier deck reshuffled`, '');
+    });
+
+    EventBus.on('ability:drawn', (data) => {
+      UI.addLogMessage(`${data.name}: ${data.card.name} (initiative ${data.card.initiative})`, CONSTANTS.LOG_TYPES.MOVE);
+    });
+
+    EventBus.on('ability:reshuffled', (data) => {
+      UI.addLogMessage(`${data.name} ability deck reshuffled`, '');
+    });
+
     EventBus.on('attack:modifier', (data) => {
+      const baseText = data.bonusDamage > 0
+        ? `${data.baseDamage - data.bonusDamage}+${data.bonusDamage}`
+        : `${data.baseDamage}`;
+      const drawText = data.drawn.length > 1
+        ? `${data.drawn.map(m => m.label).join(' / ')} → ${data.modifier.label} (${data.mode})`
+        : data.modifier.label;
       UI.addLogMessage(
-        `${data.attackerName}: ${data.modifier.label} (${data.baseDamage} → ${data.finalDamage})`,
+        `${data.attackerName}: ${drawText} (${baseText} → ${data.finalDamage})`,
         CONSTANTS.LOG_TYPES.ATTACK
       );
       if (data.position) {
-        UI.showModifierPopup(data.position, data.modifier);
+        UI.showModifierPopup(data.position, data.modifier, data.drawn);
       }
     });
   },
@@ -549,8 +944,12 @@ const Game = {
     this.store.setSelectedCharacter(CONSTANTS.CHARACTER_IDS.JACK);
 
     UI.showScreen('game-screen');
-    UI.updateRoomIndicator(1, GameData.rooms[0].name);
+    UI.updateRoomIndicator(1, GameData.rooms[0].name, Combat.getEnemyLevel(this.store.state, 0));
     UI.addLogMessage(`Mission started: ${GameData.rooms[0].name}`, CONSTANTS.LOG_TYPES.MOVE);
+    UI.addLogMessage(
+      `Difficulty: ${GameData.difficulties[this.store.state.difficulty].name}${this.store.state.lookaheadAI ? ' (lookahead AI)' : ''}`,
+      CONSTANTS.LOG_TYPES.MOVE
+    );
     UI.hideActionButtons();
 
     this.render(this.store.state);
@@ -563,9 +962,14 @@ const Game = {
     this.store.reset({
       phase: CONSTANTS.PHASES.BRIEFING,
       currentRoom: 1,
+      scenarioLevel: CONSTANTS.GAME.DEFAULT_SCENARIO_LEVEL,
+      difficulty: this.store.state.difficulty,
+      lookaheadAI: this.store.state.lookaheadAI,
       characters: [],
       enemies: [],
       modifierDecks: {},
+      enemyDecks: {},
+      traps: {},
       turn: {
         phase: CONSTANTS.PHASES.SELECTION,
         selectedCards: {},
@@ -577,6 +981,7 @@ const Game = {
         selectedCharacter: null,
         highlightedHexes: [],
         selectedUnit: null,
+        showIntent: this.store.state.ui.showIntent,
       },
     });
 
@@ -592,10 +997,21 @@ const Game = {
       const room = GameData.rooms[state.currentRoom - 1];
 
       // Update room indicator
-      UI.updateRoomIndicator(state.currentRoom, room.name);
+      UI.updateRoomIndicator(state.currentRoom, room.name, Combat.getEnemyLevel(state, state.currentRoom - 1));
 
-      UI.renderHexGrid(room, state.characters, state.enemies, state.ui.highlightedHexes);
-      UI.renderCharacterPortraits(state.characters);
+      UI.renderHexGrid(room, state.characters, state.enemies, state.ui.highlightedHexes, Combat.getTraps(state));
+      if (this.isMoveAction(state.turn.currentAction) && !UI.isAnimating()) {
+        this.showMoveRoute(null);
+      }
+      if (state.turn.currentAction?.type !== CONSTANTS.ACTION_TYPES.ATTACK) {
+        UI.hideAttackForecast();
+      }
+      if (state.ui.showIntent && state.turn.phase === CONSTANTS.PHASES.EXECUTION) {
+        this.showEnemyIntents(state);
+      }
+      UI.setIntentButtonActive(state.ui.showIntent, state.lookaheadAI);
+      UI.renderBossHealth(state.enemies.find(e => e.boss) || null);
+      UI.renderCharacterPortraits(state.characters, state.modifierDecks);
 
       if (state.turn.phase === CONSTANTS.PHASES.SELECTION) {
         UI.renderCharacterTabs(
@@ -636,7 +1052,7 @@ const Game = {
         // During execution phase - show current turn's cards
         const currentTurnEntry = state.turn.turnOrder[state.turn.currentTurnIndex];
 
-        if (currentTurnEntry && currentTurnEntry.type === CONSTANTS.UNIT_TYPES.CHARACTER && !currentTurnEntry.actions) {
+        if (currentTurnEntry && currentTurnEntry.type === CONSTANTS.UNIT_TYPES.CHARACTER && !currentTurnEntry.actions && !currentTurnEntry.stunned) {
           // Awaiting action choice - show the 4 options
           UI.renderActionChoice(
             currentTurnEntry.unit,
@@ -678,7 +1094,7 @@ const Game = {
       }
 
       if (state.turn.phase === CONSTANTS.PHASES.EXECUTION) {
-        UI.renderInitiativeTracker(state.turn.turnOrder, state.turn.currentTurnIndex);
+        UI.renderInitiativeTracker(state.turn.turnOrder, state.turn.currentTurnIndex, state);
       }
 
     } else if (state.phase === CONSTANTS.PHASES.VICTORY) {
@@ -694,6 +1110,11 @@ const Game = {
       }
     } else if (state.phase === CONSTANTS.PHASES.DEFEAT) {
       UI.showScreen('defeat-screen');
+    } else if (state.phase === CONSTANTS.PHASES.BRIEFING) {
+      UI.renderDifficultyOptions(state.difficulty, (difficulty) => this.store.setDifficulty(difficulty));
+      if (UI.elements.toggleLookahead) {
+        UI.elements.toggleLookahead.checked = state.lookaheadAI;
+      }
     }
   },
 };
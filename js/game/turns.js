@@ -15,6 +15,7 @@ Object.assign(Game, {
 
     UI.addLogMessage('Cards confirmed! Calculating initiative...', CONSTANTS.LOG_TYPES.MOVE);
 
+    this.store.drawEnemyAbilities();
     const turnOrder = this.buildTurnOrder();
 
     this.store.setState({
@@ -52,12 +53,26 @@ Object.assign(Game, {
       }
     }
 
+    // Enemies act on the ability card their type drew this round
     for (const enemy of this.store.state.enemies) {
+      const ability = AbilityDeck.getCurrentCard(enemy, this.store.state);
       order.push({
         unit: enemy,
         type: CONSTANTS.UNIT_TYPES.ENEMY,
-        initiative: enemy.type === CONSTANTS.ENEMY_IDS.JAFFA_SERPENT_GUARD ? 40 : 50,
+        initiative: ability ? ability.initiative : CONSTANTS.GAME.DEFAULT_ENEMY_INITIATIVE,
+        ability,
       });
+
+      // Bosses in a frenzied phase act again at the end of the round
+      if (Combat.hasExtraTurn(enemy)) {
+        order.push({
+          unit: enemy,
+          type: CONSTANTS.UNIT_TYPES.ENEMY,
+          initiative: CONSTANTS.GAME.BOSS_EXTRA_TURN_INITIATIVE,
+          ability,
+          extraTurn: true,
+        });
+      }
     }
 
     order.sort((a, b) => a.initiative - b.initiative);
@@ -105,13 +120,42 @@ Object.assign(Game, {
       }
     }
 
+    // Turns cancelled by a card effect are skipped entirely
+    if (currentTurn.cancelled) {
+      EventBus.emit('turn:skipped', { name: currentTurn.unit.shortName || currentTurn.unit.name });
+      this.advanceTurn();
+      return;
+    }
+
+    EventBus.emit('turn:started', { unit: currentTurn.unit, type: currentTurn.type, initiative: currentTurn.initiative });
+
+    // Start-of-turn conditions (wound) may defeat the unit. They trigger once
+    // a round, so a boss's extra turn skips them.
+    if (!currentTurn.extraTurn && !StatusEffects.onTurnStart(currentTurn.unit, this.store)) {
+      if (this.store.state.phase !== CONSTANTS.PHASES.DEFEAT) {
+        this.advanceTurn();
+      }
+      return;
+    }
+
+    // Stunned units lose their turn; a character's cards are still discarded
+    const unitState = StatusEffects.getUnit(currentTurn.unit.id, this.store.state);
+    if (StatusEffects.has(unitState, CONSTANTS.STATUS_EFFECTS.STUN)) {
+      const stunnedOrder = [...this.store.state.turn.turnOrder];
+      stunnedOrder[currentTurnIndex] = { ...currentTurn, stunned: true };
+      this.store.setState({
+        turn: { ...this.store.state.turn, turnOrder: stunnedOrder },
+      });
+      EventBus.emit('turn:stunned', { name: unitState.shortName || unitState.name });
+      setTimeout(() => this.advanceTurn(), CONSTANTS.TIMING.ACTION_DELAY);
+      return;
+    }
+
     if (currentTurn.type === CONSTANTS.UNIT_TYPES.CHARACTER) {
-      EventBus.emit('turn:started', { unit: currentTurn.unit, type: CONSTANTS.UNIT_TYPES.CHARACTER, initiative: currentTurn.initiative });
       // Wait for player to choose action pairing before executing
       this.render(this.store.state);
     } else {
-      EventBus.emit('turn:started', { unit: currentTurn.unit, type: CONSTANTS.UNIT_TYPES.ENEMY, initiative: currentTurn.initiative });
-      this.executeEnemyTurn(currentTurn);
+      this.executeEnemyTurn(currentTurn).catch(error => this.recoverFromTurnError(error));
     }
   },
 
@@ -185,7 +229,7 @@ Object.assign(Game, {
           setTimeout(() => this.advanceTurn(), CONSTANTS.TIMING.ACTION_DELAY);
         }
       } else {
-        UI.addLogMessage(`Select destination for ${unit.shortName} (Move ${action.value})`, CONSTANTS.LOG_TYPES.MOVE);
+        UI.addLogMessage(`Select destination for ${unit.shortName} (Move ${action.value}; shift-click or drag to set waypoints)`, CONSTANTS.LOG_TYPES.MOVE);
       }
     } else if (result.type === CONSTANTS.ACTION_TYPES.ATTACK) {
       // Show attack targets
@@ -193,11 +237,12 @@ Object.assign(Game, {
         hex: t.hex,
         type: CONSTANTS.HIGHLIGHT_TYPES.ATTACKABLE,
       }));
-      this.store.setHighlightedHexes(hexes);
+      this.store.setHighlightedHexes([...hexes, ...this.getBlockedHighlights(result)]);
       this.store.setCurrentAction({ ...result, actionIndex });
 
       if (hexes.length === 0) {
-        UI.addLogMessage(`${unit.shortName} has no targets in range`, CONSTANTS.LOG_TYPES.ATTACK);
+        const reason = result.blocked.length > 0 ? 'line of sight' : 'range';
+        UI.addLogMessage(`${unit.shortName} has no targets in ${reason}`, CONSTANTS.LOG_TYPES.ATTACK);
         if (actionIndex === 0) {
           setTimeout(() => this.executeCharacterAction(1), CONSTANTS.TIMING.ACTION_DELAY);
         } else {
@@ -212,7 +257,7 @@ Object.assign(Game, {
         hex: t.hex,
         type: CONSTANTS.HIGHLIGHT_TYPES.REACHABLE,
       }));
-      this.store.setHighlightedHexes(hexes);
+      this.store.setHighlightedHexes([...hexes, ...this.getBlockedHighlights(result)]);
       this.store.setCurrentAction({ ...result, actionIndex });
 
       if (hexes.length === 0) {
@@ -233,7 +278,54 @@ Object.assign(Game, {
       this.store.setHighlightedHexes(hexes);
       this.store.setCurrentAction({ ...result, actionIndex });
       UI.addLogMessage(`Select shield target for ${unit.shortName} (Shield ${result.amount})`, CONSTANTS.LOG_TYPES.HEAL);
-    } else if (result.type === CONSTANTS.ACTION_TYPES.PUSH) {
+    } else if (result.type === CONSTANTS.ACTION_TYPES.BUFF) {
+      const hexes = result.targets.map(t => ({
+        hex: t.hex,
+        type: CONSTANTS.HIGHLIGHT_TYPES.REACHABLE,
+      }));
+      this.store.setHighlightedHexes(hexes);
+      this.store.setCurrentAction({ ...result, actionIndex });
+
+      if (hexes.length === 0) {
+        UI.addLogMessage(`${unit.shortName} has no allies to buff`, CONSTANTS.LOG_TYPES.HEAL);
+        if (actionIndex === 0) {
+          setTimeout(() => this.executeCharacterAction(1), CONSTANTS.TIMING.ACTION_DELAY);
+        } else {
+          setTimeout(() => this.advanceTurn(), CONSTANTS.TIMING.ACTION_DELAY);
+        }
+      } else {
+        UI.addLogMessage(`Select an ally for ${unit.shortName}'s ${action.text}`, CONSTANTS.LOG_TYPES.HEAL);
+      }
+    } else if (result.type === CONSTANTS.ACTION_TYPES.TRAP) {
+      const hexes = result.hexes.map(hex => ({
+        hex,
+        type: CONSTANTS.HIGHLIGHT_TYPES.REACHABLE,
+      }));
+      this.store.setHighlightedHexes(hexes);
+      this.store.setCurrentAction({ ...result, actionIndex });
+
+      if (hexes.length === 0) {
+        UI.addLogMessage(`${unit.shortName} has no empty adjacent hex for a trap`, CONSTANTS.LOG_TYPES.MOVE);
+        if (actionIndex === 0) {
+          setTimeout(() => this.executeCharacterAction(1), CONSTANTS.TIMING.ACTION_DELAY);
+        } else {
+          setTimeout(() => this.advanceTurn(), CONSTANTS.TIMING.ACTION_DELAY);
+        }
+      } else {
+        UI.addLogMessage(`Select an adjacent hex for ${unit.shortName}'s trap (${result.damage} damage)`, CONSTANTS.LOG_TYPES.MOVE);
+      }
+    } else if (result.type === CONSTANTS.SPECIAL_EFFECTS.GROUP_MOVE) {
+      if (result.queue.length === 0) {
+        UI.addLogMessage(`${unit.shortName} has no allies to move`, CONSTANTS.LOG_TYPES.MOVE);
+        if (actionIndex === 0) {
+          setTimeout(() => this.executeCharacterAction(1), CONSTANTS.TIMING.ACTION_DELAY);
+        } else {
+          setTimeout(() => this.advanceTurn(), CONSTANTS.TIMING.ACTION_DELAY);
+        }
+      } else {
+        this.startGroupMoveStep(result.queue, result.moveRange, actionIndex);
+      }
+    } else if (result.type === CONSTANTS.SPECIAL_EFFECTS.CANCEL_TURN) {
       const hexes = result.targets.map(t => ({
         hex: t.hex,
         type: CONSTANTS.HIGHLIGHT_TYPES.ATTACKABLE,
@@ -241,6 +333,24 @@ Object.assign(Game, {
       this.store.setHighlightedHexes(hexes);
       this.store.setCurrentAction({ ...result, actionIndex });
 
+      if (hexes.length === 0) {
+        UI.addLogMessage('No enemies left to act this round', CONSTANTS.LOG_TYPES.ATTACK);
+        if (actionIndex === 0) {
+          setTimeout(() => this.executeCharacterAction(1), CONSTANTS.TIMING.ACTION_DELAY);
+        } else {
+          setTimeout(() => this.advanceTurn(), CONSTANTS.TIMING.ACTION_DELAY);
+        }
+      } else {
+        UI.addLogMessage(`Select an enemy whose turn ${unit.shortName} cancels`, CONSTANTS.LOG_TYPES.ATTACK);
+      }
+    } else if (result.type === CONSTANTS.ACTION_TYPES.PUSH) {
+      const hexes = result.targets.map(t => ({
+        hex: t.hex,
+        type: CONSTANTS.HIGHLIGHT_TYPES.ATTACKABLE,
+      }));
+      this.store.setHighlightedHexes([...hexes, ...this.getBlockedHighlights(result)]);
+      this.store.setCurrentAction({ ...result, actionIndex });
+
       if (hexes.length === 0) {
         UI.addLogMessage(`${unit.shortName} has no push targets in range`, CONSTANTS.LOG_TYPES.MOVE);
         if (actionIndex === 0) {
@@ -255,9 +365,118 @@ Object.assign(Game, {
   },
 
   /**
-   * Execute an enemy's turn
+   * Highlights for targets in range but out of line of sight
    */
-  executeEnemyTurn(turnEntry) {
+  getBlockedHighlights(result) {
+    return (result.blocked || []).map(t => ({
+      hex: t.hex,
+      type: CONSTANTS.HIGHLIGHT_TYPES.BLOCKED,
+    }));
+  },
+
+  /**
+   * Let the first ally in a group move queue choose a destination
+   * @param {Array} queue - Character ids still to move, in order
+   * @param {number} moveRange - Move value for each ally
+   * @param {number} actionIndex - Index of the card action being resolved
+   */
+  startGroupMoveStep(queue, moveRange, actionIndex) {
+    const state = this.store.state;
+    const ally = state.characters.find(c => c.id === queue[0]);
+    const reachable = ally && ally.health > 0 ? Combat.getReachableHexes(ally, moveRange, state) : [];
+
+    const hexes = reachable.map(rh => ({
+      hex: rh.hex,
+      type: CONSTANTS.HIGHLIGHT_TYPES.REACHABLE,
+    }));
+    this.store.setHighlightedHexes(hexes);
+    this.store.setCurrentAction({
+      type: CONSTANTS.SPECIAL_EFFECTS.GROUP_MOVE,
+      queue,
+      moveRange,
+      reachableHexes: reachable,
+      actionIndex,
+    });
+
+    if (hexes.length === 0) {
+      if (ally) {
+        UI.addLogMessage(`${ally.shortName} cannot move (blocked)`, CONSTANTS.LOG_TYPES.MOVE);
+      }
+      setTimeout(() => this.continueGroupMove(), CONSTANTS.TIMING.ACTION_DELAY);
+    } else {
+      UI.addLogMessage(`Select destination for ${ally.shortName} (Move ${moveRange})`, CONSTANTS.LOG_TYPES.MOVE);
+    }
+  },
+
+  /**
+   * Move on to the next ally in the group move, or finish the action
+   */
+  continueGroupMove() {
+    const { queue, moveRange, actionIndex } = this.store.state.turn.currentAction;
+    const remaining = queue.slice(1);
+
+    if (remaining.length === 0) {
+      this.store.setHighlightedHexes([]);
+      this.completeCurrentAction();
+    } else {
+      this.startGroupMoveStep(remaining, moveRange, actionIndex);
+    }
+  },
+
+  /**
+   * Draw the projected enemy intents. A stale projection is recomputed
+   * after the current render rather than inside it, and only once per
+   * change to the board or the turn.
+   */
+  showEnemyIntents(state) {
+    const key = this.getIntentKey(state);
+    if (this.intentCache?.key === key) {
+      UI.renderEnemyIntents(this.intentCache.intents);
+      return;
+    }
+    if (this.intentPending) return;
+
+    this.intentPending = true;
+    setTimeout(() => {
+      this.intentPending = false;
+      const latest = this.store.state;
+      if (!latest.ui.showIntent || latest.turn.phase !== CONSTANTS.PHASES.EXECUTION) return;
+
+      const latestKey = this.getIntentKey(latest);
+      if (this.intentCache?.key !== latestKey) {
+        this.intentCache = { key: latestKey, intents: EnemyAI.projectIntents(latest) };
+      }
+      UI.renderEnemyIntents(this.intentCache.intents);
+    }, 0);
+  },
+
+  /**
+   * Key for the intent projection: everything the enemy AI reads
+   */
+  getIntentKey(state) {
+    return JSON.stringify([
+      state.currentRoom,
+      state.turn.currentTurnIndex,
+      state.characters.map(c => [c.position, c.health, c.effects]),
+      state.enemies.map(e => [e.id, e.position, e.health, e.effects]),
+      state.turn.turnOrder.map(e => [e.unit.id, e.initiative]),
+      Combat.getTraps(state),
+    ]);
+  },
+
+  /**
+   * Move a unit and animate it along its path
+   * @returns {Promise} Resolves when the animation finishes
+   */
+  moveUnit(unit, targetHex, options = {}) {
+    const path = Combat.executeMove(unit, targetHex, this.store.state, this.store, options);
+    return UI.animateMove(unit.id, path);
+  },
+
+  /**
+   * Execute an enemy's turn, waiting for each move to finish animating
+   */
+  async executeEnemyTurn(turnEntry) {
     const state = this.store.state;
 
     // Check for defeat before executing
@@ -265,50 +484,76 @@ Object.assign(Game, {
       return;
     }
 
-    const enemy = state.enemies.find(e => e.id === turnEntry.unit.id);
+    const current = state.enemies.find(e => e.id === turnEntry.unit.id);
 
-    if (!enemy) {
+    if (!current) {
       this.advanceTurn();
       return;
     }
 
+    // The round's ability card sets this turn's stats and specials
+    const ability = AbilityDeck.getCurrentCard(current, state);
+    if (ability?.retaliate) {
+      Combat.grantRetaliate(current, ability.retaliate, this.store);
+    }
+
+    // Bosses open their turn with their phase and card specials (the card's
+    // special is used once, not again on an extra turn)
+    const scripts = [...(current.pendingScripts || []), turnEntry.extraTurn ? null : ability?.script].filter(Boolean);
+    if (current.pendingScripts?.length > 0) {
+      this.store.clearPendingScripts(current.id);
+    }
+    for (const script of scripts) {
+      Combat.executeBossScript(StatusEffects.getUnit(current.id, this.store.state), script, this.store);
+      await UI.pause(CONSTANTS.TIMING.ENEMY_TURN_DELAY);
+      if (this.store.state.phase === CONSTANTS.PHASES.DEFEAT) return;
+    }
+
+    const enemy = AbilityDeck.applyCard(StatusEffects.getUnit(current.id, this.store.state), this.store.state);
+
     // Use enemy AI to decide action
-    const action = EnemyAI.decideAction(enemy, state);
+    const action = EnemyAI.chooseAction(enemy, this.store.state);
+    if (action.focus) {
+      EventBus.emit('enemy:focus', { name: enemy.name, target: action.focus });
+    }
+    const attackOptions = {
+      range: enemy.range,
+      curse: enemy.curse,
+      pierce: enemy.pierce,
+      effects: enemy.attackEffects,
+    };
 
     if (action.type === CONSTANTS.ACTION_TYPES.ATTACK) {
-      Combat.executeAttack(enemy, action.target, enemy.attack, state, this.store);
-      setTimeout(() => {
-        this.advanceTurn();
-      }, CONSTANTS.TIMING.ENEMY_TURN_DELAY);
+      Combat.executeAttack(enemy, action.target, enemy.attack, this.store.state, this.store, attackOptions);
+      await UI.pause(CONSTANTS.TIMING.ENEMY_TURN_DELAY);
     } else if (action.type === CONSTANTS.ACTION_TYPES.MOVE) {
-      Combat.executeMove(enemy, action.position, state, this.store);
-      setTimeout(() => {
-        this.advanceTurn();
-      }, CONSTANTS.TIMING.ENEMY_TURN_DELAY);
+      await this.moveUnit(enemy, action.position, { maxCost: enemy.move });
     } else if (action.type === 'moveAndAttack') {
-      Combat.executeMove(enemy, action.position, state, this.store);
-      setTimeout(() => {
-        // Re-fetch state after move
-        const newState = this.store.state;
-        const movedEnemy = newState.enemies.find(e => e.id === enemy.id);
-        if (movedEnemy && action.target) {
-          Combat.executeAttack(movedEnemy, action.target, enemy.attack, newState, this.store);
-        }
-        setTimeout(() => {
-          this.advanceTurn();
-        }, CONSTANTS.TIMING.ENEMY_TURN_DELAY);
-      }, CONSTANTS.TIMING.ACTION_DELAY);
-    } else {
-      // Wait/skip - check if stunned
-      if (enemy.stunned) {
-        EventBus.emit('enemy:stunned-skip', { name: enemy.name });
-        this.store.clearEnemyStun(enemy.id);
-      } else {
-        EventBus.emit('enemy:wait', { name: enemy.name });
+      await this.moveUnit(enemy, action.position, { maxCost: enemy.move });
+
+      // Re-fetch state after move
+      const newState = this.store.state;
+      const movedEnemy = newState.enemies.find(e => e.id === enemy.id);
+      if (movedEnemy && action.target) {
+        Combat.executeAttack(movedEnemy, action.target, enemy.attack, newState, this.store, attackOptions);
       }
-      setTimeout(() => {
-        this.advanceTurn();
-      }, CONSTANTS.TIMING.ACTION_DELAY);
+      await UI.pause(CONSTANTS.TIMING.ENEMY_TURN_DELAY);
+    } else {
+      EventBus.emit('enemy:wait', { name: enemy.name, reason: action.reason });
+      await UI.pause(CONSTANTS.TIMING.ACTION_DELAY);
+    }
+
+    this.advanceTurn();
+  },
+
+  /**
+   * Report an error thrown partway through a turn and move on to the next
+   * turn, rather than leaving the round stuck
+   */
+  recoverFromTurnError(error) {
+    console.error('Turn failed:', error);
+    if (this.store.state.phase === CONSTANTS.PHASES.PLAYING) {
+      this.advanceTurn();
     }
   },
 
@@ -337,6 +582,11 @@ Object.assign(Game, {
     const state = this.store.state;
     const currentAction = state.turn.currentAction;
 
+    // Retaliation can defeat the acting character mid-turn
+    if (state.phase === CONSTANTS.PHASES.DEFEAT) {
+      return;
+    }
+
     if (currentAction.actionIndex === 0) {
       // First action done, execute second
       this.store.setCurrentAction(null);
@@ -88,6 +88,35 @@ const HexMath = {
     return results;
   },
 
+  /**
+   * Get the hexes on a straight line between two hexes (inclusive)
+   * @param {number} nudge - Offset that decides which side a line along a hex edge falls on
+   */
+  line(a, b, nudge = 0) {
+    const n = this.distance(a, b);
+    const results = [];
+    for (let i = 0; i <= n; i++) {
+      const t = n === 0 ? 0 : i / n;
+      results.push(this.round(
+        a.q + nudge + (b.q - a.q) * t,
+        a.r + nudge + (b.r - a.r) * t
+      ));
+    }
+    return results;
+  },
+
+  /**
+   * Check line of sight between two hexes. The line is traced nudged to
+   * either side, so sight along the edge of a blocking hex is not blocked.
+   * @param {Function} isBlocking - Function to check if a hex blocks sight
+   */
+  hasLineOfSight(a, b, isBlocking) {
+    const nudge = CONSTANTS.HEX.LOS_NUDGE;
+    return [nudge, -nudge].some(offset =>
+      this.line(a, b, offset).slice(1, -1).every(hex => !isBlocking(hex))
+    );
+  },
+
   /**
    * Check if two hexes are equal
    */
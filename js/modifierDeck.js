@@ -75,6 +75,33 @@ const ModifierDeck = {
     return this.createStandardDeck();
   },
 
+  /**
+   * Create a temporary Bless (x2) or Curse (MISS) card.
+   * Temporary cards leave the deck once drawn and never trigger a reshuffle.
+   */
+  createTemporaryCard(kind) {
+    if (kind === CONSTANTS.MODIFIER_CARDS.BLESS) {
+      return { value: 2, type: 'multiply', label: 'BLESS', temporary: kind };
+    }
+    return { value: 0, type: 'null', label: 'CURSE', temporary: kind };
+  },
+
+  /**
+   * Shuffle a card into a random position of the cards left to draw
+   * Mutates deckState.remaining
+   */
+  insert(deckState, card) {
+    const index = Math.floor(Math.random() * (deckState.remaining.length + 1));
+    deckState.remaining.splice(index, 0, card);
+  },
+
+  /**
+   * Count undrawn temporary cards of a kind (bless or curse)
+   */
+  countTemporary(deckState, kind) {
+    return deckState.remaining.filter(c => c.temporary === kind).length;
+  },
+
   /**
    * Replace N cards matching oldValue/oldType with newValue/newType
    */
@@ -101,23 +128,125 @@ const ModifierDeck = {
     return shuffled;
   },
 
+  /**
+   * Return every card to the deck and shuffle it.
+   * Undrawn Bless/Curse cards stay in; drawn ones are gone for good.
+   * Mutates deckState.remaining and clears needsReshuffle
+   */
+  reshuffle(deckState) {
+    const temporary = deckState.remaining.filter(c => c.temporary);
+    deckState.remaining = this.shuffle([...deckState.cards, ...temporary]);
+    deckState.needsReshuffle = false;
+  },
+
+  /**
+   * Count the cards left to draw, grouped by label
+   * @returns {Object} { remaining, total, counts: { label: count } }
+   */
+  getComposition(deckState) {
+    const counts = {};
+    for (const card of deckState.remaining) {
+      counts[card.label] = (counts[card.label] || 0) + 1;
+    }
+    return {
+      remaining: deckState.remaining.length,
+      total: deckState.cards.length,
+      counts,
+    };
+  },
+
+  /**
+   * Chance of each modifier being the one applied to the next attack,
+   * following the same draw and keep rules as drawForAttack. Does not
+   * change the deck.
+   * @returns {Array} Array of { modifier, chance }, one entry per label
+   */
+  getOutcomes(deckState, damage, mode = CONSTANTS.DRAW_MODES.NORMAL) {
+    if (!deckState) {
+      return [{ modifier: { value: 0, type: 'add', label: '+0' }, chance: 1 }];
+    }
+
+    // An empty deck is reshuffled before drawing
+    const pool = deckState.remaining.length > 0 ? deckState.remaining : deckState.cards;
+    const outcomes = new Map();
+    const add = (modifier, chance) => {
+      const entry = outcomes.get(modifier.label) || { modifier, chance: 0 };
+      entry.chance += chance;
+      outcomes.set(modifier.label, entry);
+    };
+
+    pool.forEach((first, i) => {
+      if (mode === CONSTANTS.DRAW_MODES.NORMAL) {
+        add(first, 1 / pool.length);
+        return;
+      }
+
+      const rest = pool.length > 1 ? pool.filter((_, j) => j !== i) : deckState.cards;
+      for (const second of rest) {
+        const comparison = this.compare(second, first, damage);
+        const keepSecond = mode === CONSTANTS.DRAW_MODES.ADVANTAGE ? comparison > 0 : comparison < 0;
+        add(keepSecond ? second : first, 1 / (pool.length * rest.length));
+      }
+    });
+
+    return [...outcomes.values()];
+  },
+
   /**
    * Draw from a deck state object, returns the drawn modifier
    * Mutates deckState.remaining
    */
   draw(deckState) {
     if (deckState.remaining.length === 0) {
-      deckState.remaining = this.shuffle(deckState.cards);
-      deckState.needsReshuffle = false;
+      this.reshuffle(deckState);
     }
 
     const modifier = deckState.remaining.pop();
 
-    // x2 and null trigger reshuffle on next draw
-    if (modifier.type === 'multiply' || modifier.type === 'null') {
+    // x2 and null trigger reshuffle on next draw (Bless and Curse do not)
+    if (!modifier.temporary && (modifier.type === 'multiply' || modifier.type === 'null')) {
       deckState.needsReshuffle = true;
     }
 
     return modifier;
   },
+
+  /**
+   * Apply a modifier card to base damage
+   */
+  apply(damage, modifier) {
+    if (modifier.type === 'null') return 0;
+    if (modifier.type === 'multiply') return damage * modifier.value;
+    return Math.max(0, damage + modifier.value);
+  },
+
+  /**
+   * Compare two modifiers for an attack of the given base damage.
+   * Resulting damage decides; on a tie MISS ranks below and x2 above an add card.
+   * @returns {number} Positive if a is better than b, negative if worse, 0 if equal
+   */
+  compare(a, b, damage) {
+    const tieRank = { null: -1, add: 0, multiply: 1 };
+    const diff = this.apply(damage, a) - this.apply(damage, b);
+    return diff !== 0 ? diff : tieRank[a.type] - tieRank[b.type];
+  },
+
+  /**
+   * Draw the modifier for one attack, honoring advantage/disadvantage
+   * (draw two, keep the better/worse; the first drawn wins exact ties)
+   * Mutates deckState.remaining
+   * @returns {Object} { modifier, drawn } - the applied card and every card drawn
+   */
+  drawForAttack(deckState, damage, mode = CONSTANTS.DRAW_MODES.NORMAL) {
+    const first = this.draw(deckState);
+    if (mode === CONSTANTS.DRAW_MODES.NORMAL) {
+      return { modifier: first, drawn: [first] };
+    }
+
+    const second = this.draw(deckState);
+    const comparison = this.compare(second, first, damage);
+    const keepSecond = mode === CONSTANTS.DRAW_MODES.ADVANTAGE ? comparison > 0 : comparison < 0;
+
+    return { modifier: keepSecond ? second : first, drawn: [first, second] };
+  },
 };
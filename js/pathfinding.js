@@ -8,9 +8,11 @@ const Pathfinding = {
    * @param {Object} start - Starting hex {q, r}
    * @param {Object} goal - Goal hex {q, r}
    * @param {Function} isWalkable - Function to check if hex is walkable
+   * @param {Function} getCost - Movement cost of entering a hex
+   * @param {Function} canPass - Function to check if a hex can be crossed without stopping
    * @returns {Array} Array of hexes forming the path, or empty if no path
    */
-  findPath(start, goal, isWalkable) {
+  findPath(start, goal, isWalkable, getCost = () => 1, canPass = isWalkable) {
     const startKey = HexMath.key(start);
     const goalKey = HexMath.key(goal);
 
@@ -45,9 +47,9 @@ const Pathfinding = {
       for (const neighbor of HexMath.neighbors(current)) {
         const neighborKey = HexMath.key(neighbor);
 
-        if (!isWalkable(neighbor)) continue;
+        if (neighborKey === goalKey ? !isWalkable(neighbor) : !canPass(neighbor)) continue;
 
-        const tentativeG = (gScore.get(currentKey) ?? Infinity) + 1;
+        const tentativeG = (gScore.get(currentKey) ?? Infinity) + getCost(neighbor);
 
         if (tentativeG < (gScore.get(neighborKey) ?? Infinity)) {
           cameFrom.set(neighborKey, currentKey);
@@ -79,35 +81,45 @@ const Pathfinding = {
   },
 
   /**
-   * Get all reachable hexes within movement range using BFS
+   * Get all reachable hexes within movement range (Dijkstra over move costs;
+   * with uniform costs this visits hexes in the same order as a BFS)
    * @param {Object} start - Starting hex {q, r}
-   * @param {Number} range - Maximum movement distance
-   * @param {Function} isWalkable - Function to check if hex is walkable
-   * @returns {Array} Array of {hex, distance} objects for reachable hexes
+   * @param {Number} range - Maximum movement points
+   * @param {Function} isWalkable - Function to check if a unit can end its move on a hex
+   * @param {Function} getCost - Movement cost of entering a hex
+   * @param {Function} canPass - Function to check if a hex can be crossed without stopping
+   *   (jumping and flying); must accept every walkable hex
+   * @returns {Array} Array of {hex, distance} objects for reachable hexes, distance being movement spent
    */
-  getReachableHexes(start, range, isWalkable) {
-    const visited = new Map();
-    const startKey = HexMath.key(start);
-    visited.set(startKey, 0);
-
+  getReachableHexes(start, range, isWalkable, getCost = () => 1, canPass = isWalkable) {
+    const best = new Map([[HexMath.key(start), 0]]);
     const queue = [{ hex: start, distance: 0 }];
     const reachable = [];
 
     while (queue.length > 0) {
-      const { hex, distance } = queue.shift();
+      // Take the cheapest entry, first-queued on ties
+      let index = 0;
+      for (let i = 1; i < queue.length; i++) {
+        if (queue[i].distance < queue[index].distance) index = i;
+      }
+      const { hex, distance } = queue.splice(index, 1)[0];
 
-      if (distance > 0) {
+      // Skip entries superseded by a cheaper route
+      if (distance > best.get(HexMath.key(hex))) continue;
+
+      if (distance > 0 && isWalkable(hex)) {
         reachable.push({ hex, distance });
       }
 
-      if (distance < range) {
-        for (const neighbor of HexMath.neighbors(hex)) {
-          const neighborKey = HexMath.key(neighbor);
+      for (const neighbor of HexMath.neighbors(hex)) {
+        if (!canPass(neighbor)) continue;
 
-          if (!visited.has(neighborKey) && isWalkable(neighbor)) {
-            visited.set(neighborKey, distance + 1);
-            queue.push({ hex: neighbor, distance: distance + 1 });
-          }
+        const neighborKey = HexMath.key(neighbor);
+        const cost = distance + getCost(neighbor);
+
+        if (cost <= range && cost < (best.get(neighborKey) ?? Infinity)) {
+          best.set(neighborKey, cost);
+          queue.push({ hex: neighbor, distance: cost });
         }
       }
     }
@@ -115,6 +127,49 @@ const Pathfinding = {
     return reachable;
   },
 
+  /**
+   * Count the distinct cheapest paths from start to goal
+   * @returns {number} Number of paths, 0 if the goal is unreachable
+   */
+  countShortestPaths(start, goal, isWalkable, getCost = () => 1, canPass = isWalkable) {
+    const goalKey = HexMath.key(goal);
+    const best = new Map([[HexMath.key(start), 0]]);
+    const counts = new Map([[HexMath.key(start), 1]]);
+    const queue = [{ hex: start, distance: 0 }];
+    const settled = new Set();
+
+    while (queue.length > 0) {
+      let index = 0;
+      for (let i = 1; i < queue.length; i++) {
+        if (queue[i].distance < queue[index].distance) index = i;
+      }
+      const { hex, distance } = queue.splice(index, 1)[0];
+      const key = HexMath.key(hex);
+
+      if (settled.has(key)) continue;
+      settled.add(key);
+      if (key === goalKey) return counts.get(key);
+
+      for (const neighbor of HexMath.neighbors(hex)) {
+        const neighborKey = HexMath.key(neighbor);
+        if (neighborKey === goalKey ? !isWalkable(neighbor) : !canPass(neighbor)) continue;
+
+        const cost = distance + getCost(neighbor);
+        const known = best.get(neighborKey) ?? Infinity;
+
+        if (cost < known) {
+          best.set(neighborKey, cost);
+          counts.set(neighborKey, counts.get(key));
+          queue.push({ hex: neighbor, distance: cost });
+        } else if (cost === known) {
+          counts.set(neighborKey, counts.get(neighborKey) + counts.get(key));
+        }
+      }
+    }
+
+    return 0;
+  },
+
   /**
    * Get all hexes in range for attacks (line of sight not considered for MVP)
    * @param {Object} start - Starting hex {q, r}
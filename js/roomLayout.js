@@ -0,0 +1,126 @@
+/**
+ * Room layout queries
+ * Rooms list `walls` as plain hexes, `obstacles` and `decor` as
+ * { q, r, kind } and `terrain` as { q, r, type }. Walls block movement
+ * and line of sight, obstacles (pillars, rubble) and water/chasm block
+ * movement only, and decor is purely visual.
+ */
+
+const RoomLayout = {
+  /**
+   * Display names for obstacle and decor kinds
+   */
+  LABELS: Object.freeze({
+    [CONSTANTS.OBSTACLE_KINDS.PILLAR]: 'Pillar',
+    [CONSTANTS.OBSTACLE_KINDS.RUBBLE]: 'Rubble',
+    [CONSTANTS.OBSTACLE_KINDS.DHD]: 'Dial Home Device',
+    [CONSTANTS.DECOR_KINDS.STARGATE]: 'Stargate',
+    [CONSTANTS.DECOR_KINDS.DOOR]: 'Exit door',
+    [CONSTANTS.DECOR_KINDS.GLYPHS]: "Goa'uld glyphs",
+    [CONSTANTS.DECOR_KINDS.PEDESTAL]: 'Artifact pedestal',
+    [CONSTANTS.TERRAIN_TYPES.DIFFICULT]: 'Difficult terrain (costs 2 movement)',
+    [CONSTANTS.TERRAIN_TYPES.HAZARDOUS]: 'Hazardous terrain (damages units entering it)',
+    [CONSTANTS.TERRAIN_TYPES.WATER]: 'Deep water (impassable)',
+    [CONSTANTS.TERRAIN_TYPES.CHASM]: 'Chasm (impassable)',
+  }),
+
+  /**
+   * Find the entry for a hex in one of a room's layout lists
+   */
+  find(list, hex) {
+    return (list || []).find(entry => HexMath.equals(entry, hex)) || null;
+  },
+
+  /**
+   * Check if a hex is a wall
+   */
+  isWall(room, hex) {
+    return Boolean(this.find(room.walls, hex));
+  },
+
+  /**
+   * Get the obstacle on a hex, if any
+   */
+  getObstacle(room, hex) {
+    return this.find(room.obstacles, hex);
+  },
+
+  /**
+   * Get the decoration on a hex, if any
+   */
+  getDecor(room, hex) {
+    return this.find(room.decor, hex);
+  },
+
+  /**
+   * Get the terrain type on a hex, or null for plain floor
+   */
+  getTerrain(room, hex) {
+    return this.find(room.terrain, hex)?.type || null;
+  },
+
+  /**
+   * Check if terrain on a hex can't be entered
+   */
+  isImpassable(room, hex) {
+    const terrain = this.getTerrain(room, hex);
+    return terrain === CONSTANTS.TERRAIN_TYPES.WATER || terrain === CONSTANTS.TERRAIN_TYPES.CHASM;
+  },
+
+  /**
+   * Check if a hex damages units entering it
+   */
+  isHazardous(room, hex) {
+    return this.getTerrain(room, hex) === CONSTANTS.TERRAIN_TYPES.HAZARDOUS;
+  },
+
+  /**
+   * Movement points spent entering a hex
+   */
+  getMoveCost(room, hex) {
+    return this.getTerrain(room, hex) === CONSTANTS.TERRAIN_TYPES.DIFFICULT
+      ? CONSTANTS.GAME.DIFFICULT_TERRAIN_COST
+      : 1;
+  },
+
+  /**
+   * Check if a hex can never be entered (walls, obstacles, water and chasms)
+   */
+  blocksMovement(room, hex) {
+    return this.isWall(room, hex) || Boolean(this.getObstacle(room, hex)) || this.isImpassable(room, hex);
+  },
+
+  /**
+   * Check if a hex blocks line of sight
+   */
+  blocksSight(room, hex) {
+    return this.isWall(room, hex);
+  },
+
+  /**
+   * Get the tile type and kind used to render a hex
+   * @returns {Object} { type, kind } where kind is null for plain tiles
+   */
+  getTile(room, hex) {
+    if (this.isWall(room, hex)) {
+      return { type: CONSTANTS.TILE_TYPES.WALL, kind: null };
+    }
+
+    const obstacle = this.getObstacle(room, hex);
+    if (obstacle) {
+      return { type: CONSTANTS.TILE_TYPES.OBSTACLE, kind: obstacle.kind };
+    }
+
+    const terrain = this.getTerrain(room, hex);
+    if (terrain) {
+      return { type: CONSTANTS.TILE_TYPES.TERRAIN, kind: terrain };
+    }
+
+    const decor = this.getDecor(room, hex);
+    if (decor) {
+      return { type: CONSTANTS.TILE_TYPES.DECOR, kind: decor.kind };
+    }
+
+    return { type: CONSTANTS.TILE_TYPES.FLOOR, kind: null };
+  },
+};
@@ -0,0 +1,131 @@
+/**
+ * Headless simulation of the combat rules, used by the lookahead AI
+ * Works on plain copies of the game state: no store, events or DOM.
+ * Attacks deal their expected damage instead of drawing modifier cards,
+ * so unit health on a simulated board may be fractional.
+ */
+
+const Simulation = {
+  /**
+   * Get a board with one unit's fields changed
+   */
+  updateUnit(board, unitId, changes) {
+    const update = (units) => units.map(u => (u.id === unitId ? { ...u, ...changes } : u));
+    return { ...board, characters: update(board.characters), enemies: update(board.enemies) };
+  },
+
+  /**
+   * Get a board with damage dealt to a unit, removing it if defeated.
+   * Damage is dealt as given: shields are applied by the caller.
+   * @returns {Object} { board, dealt }
+   */
+  damage(board, unitId, amount) {
+    const unit = StatusEffects.getUnit(unitId, board);
+    if (!unit || amount <= 0) return { board, dealt: 0 };
+
+    const dealt = Math.min(unit.health, amount);
+    if (unit.health - dealt <= 0) {
+      return {
+        board: {
+          ...board,
+          characters: board.characters.filter(c => c.id !== unitId),
+          enemies: board.enemies.filter(e => e.id !== unitId),
+        },
+        dealt,
+      };
+    }
+
+    return { board: this.updateUnit(board, unitId, { health: unit.health - dealt }), dealt };
+  },
+
+  /**
+   * Damage a unit takes entering a hex: traps and hazardous terrain
+   */
+  getEntryDamage(hex, board) {
+    const trap = Combat.getTrapAt(hex, board);
+    const hazard = RoomLayout.isHazardous(Combat.getRoom(board), hex) ? CONSTANTS.GAME.HAZARD_DAMAGE : 0;
+    return (trap ? trap.damage : 0) + hazard;
+  },
+
+  /**
+   * Move a unit along the path Combat would choose, taking damage from
+   * the traps and hazards it enters
+   * @returns {Object} { board, damage } - damage is what the mover took
+   */
+  move(board, unitId, hex, maxCost = Infinity) {
+    const unit = StatusEffects.getUnit(unitId, board);
+    if (!unit || HexMath.equals(unit.position, hex)) return { board, damage: 0 };
+
+    const mode = unit.moveMode || CONSTANTS.MOVE_MODES.NORMAL;
+    const path = Combat.findMovePath(unit, hex, board, mode, maxCost);
+    const entryDamage = Combat.getEnteredHexes(path, mode)
+      .reduce((sum, entered) => sum + this.getEntryDamage(entered, board), 0);
+
+    const moved = this.updateUnit(board, unitId, { position: { ...hex } });
+    const { board: next, dealt } = this.damage(moved, unitId, entryDamage);
+    return { board: next, damage: dealt };
+  },
+
+  /**
+   * Resolve an attack for its expected damage, plus the retaliation the
+   * attacker can expect if the target survives
+   * @param {Object} attacker - Attacking unit with its stats for this attack
+   * @param {Object} options - Same options as Combat.forecastAttack
+   * @returns {Object} { board, dealt, killChance, retaliation }
+   */
+  attack(board, attacker, targetId, damage, options = {}) {
+    const target = StatusEffects.getUnit(targetId, board);
+    if (!target) return { board, dealt: 0, killChance: 0, retaliation: 0 };
+
+    const forecast = Combat.forecastAttack(attacker, target, damage, board, options);
+    const hit = this.damage(board, targetId, forecast.expectedDamage);
+
+    const { value, range } = Combat.getRetaliate(target);
+    const current = StatusEffects.getUnit(attacker.id, hit.board);
+    const inRange = current && HexMath.distance(target.position, current.position) <= range;
+    const struckBack = inRange && value > 0
+      ? this.damage(hit.board, attacker.id, value * (1 - forecast.killChance))
+      : { board: hit.board, dealt: 0 };
+
+    return {
+      board: struckBack.board,
+      dealt: hit.dealt,
+      killChance: forecast.killChance,
+      retaliation: struckBack.dealt,
+    };
+  },
+
+  /**
+   * Carry out an enemy AI decision
+   * @param {Object} enemy - Enemy with this round's ability card applied
+   * @param {Object} action - Decision from EnemyAI
+   * @returns {Object} { board, dealt, taken, kills } - kills is the expected number
+   */
+  runEnemyAction(board, enemy, action) {
+    let next = board;
+    let taken = 0;
+
+    if (action.position) {
+      const moved = this.move(next, enemy.id, action.position, enemy.move);
+      next = moved.board;
+      taken += moved.damage;
+    }
+
+    const attacks = action.type === CONSTANTS.ACTION_TYPES.ATTACK || action.type === 'moveAndAttack';
+    if (!attacks || !action.target || !StatusEffects.getUnit(enemy.id, next)) {
+      return { board: next, dealt: 0, taken, kills: 0 };
+    }
+
+    const result = this.attack(next, enemy, action.target.id, enemy.attack, {
+      range: enemy.range,
+      pierce: enemy.pierce,
+    });
+
+    return {
+      board: result.board,
+      dealt: result.dealt,
+      taken: taken + result.retaliation,
+      kills: result.killChance,
+    };
+  },
+};
@@ -0,0 +1,187 @@
+/**
+ * Status Effects - Gloomhaven-style conditions on characters and enemies
+ * Conditions are stored in each unit's `effects` array as
+ * { type, duration, source }. Poison and wound have no duration and
+ * last until the unit is healed.
+ */
+
+const StatusEffects = {
+  /**
+   * Icon glyph, tooltip and persistence for each condition
+   */
+  DEFINITIONS: Object.freeze({
+    [CONSTANTS.STATUS_EFFECTS.POISON]: { icon: 'P', persistent: true, text: 'Poison: attacks against it deal +1 damage until healed' },
+    [CONSTANTS.STATUS_EFFECTS.WOUND]: { icon: 'W', persistent: true, text: 'Wound: suffers 1 damage at the start of each turn until healed' },
+    [CONSTANTS.STATUS_EFFECTS.IMMOBILIZE]: { icon: 'I', persistent: false, text: 'Immobilize: cannot move' },
+    [CONSTANTS.STATUS_EFFECTS.DISARM]: { icon: 'D', persistent: false, text: 'Disarm: cannot attack' },
+    [CONSTANTS.STATUS_EFFECTS.MUDDLE]: { icon: 'M', persistent: false, text: 'Muddle: attacks with disadvantage' },
+    [CONSTANTS.STATUS_EFFECTS.STRENGTHEN]: { icon: 'S', persistent: false, text: 'Strengthen: attacks with advantage' },
+    [CONSTANTS.STATUS_EFFECTS.INVISIBLE]: { icon: 'V', persistent: false, text: 'Invisible: cannot be targeted by enemies' },
+    [CONSTANTS.STATUS_EFFECTS.STUN]: { icon: 'X', persistent: false, text: 'Stun: cannot act' },
+  }),
+
+  /**
+   * Check if an effect type is a status condition
+   */
+  isStatus(type) {
+    return type in this.DEFINITIONS;
+  },
+
+  /**
+   * Check if a unit currently has a condition
+   */
+  has(unit, type) {
+    return (unit?.effects || []).some(e => e.type === type);
+  },
+
+  /**
+   * Get the conditions currently on a unit
+   */
+  getStatuses(unit) {
+    return (unit?.effects || []).filter(e => this.isStatus(e.type));
+  },
+
+  /**
+   * Find the current version of a unit in state
+   */
+  getUnit(unitId, state) {
+    return state.characters.find(c => c.id === unitId) || state.enemies.find(e => e.id === unitId);
+  },
+
+  /**
+   * Check if a unit is immune to a condition
+   */
+  isImmune(unit, type) {
+    return (unit?.immunities || []).includes(type);
+  },
+
+  /**
+   * Apply a condition to a unit. Re-applying refreshes its duration.
+   * Units immune to the condition resist it.
+   * @param {Object} target - Unit receiving the condition
+   * @param {string} type - One of CONSTANTS.STATUS_EFFECTS
+   * @param {Object} state - Current game state
+   * @param {Object} store - Game store
+   * @param {string} source - Name of the unit or object applying it
+   */
+  apply(target, type, state, store, source) {
+    if (this.isImmune(target, type)) {
+      EventBus.emit('status:resisted', { name: target.shortName || target.name, type, position: target.position });
+      return;
+    }
+
+    const effect = {
+      type,
+      value: 0,
+      duration: this.DEFINITIONS[type].persistent ? null : Combat.getEffectDuration(target.id, state),
+      source,
+    };
+
+    store.removeEffects(target.id, [type]);
+    store.addEffect(target.id, effect);
+
+    EventBus.emit('status:applied', {
+      name: target.shortName || target.name,
+      effect,
+      position: target.position,
+    });
+  },
+
+  /**
+   * Apply a list of conditions to a unit
+   */
+  applyAll(target, types, state, store, source) {
+    for (const type of types || []) {
+      this.apply(target, type, state, store, source);
+    }
+  },
+
+  /**
+   * Resolve start-of-turn conditions
+   * @returns {boolean} Whether the unit survived
+   */
+  onTurnStart(unit, store) {
+    const current = this.getUnit(unit.id, store.state);
+    if (!current) return false;
+
+    if (this.has(current, CONSTANTS.STATUS_EFFECTS.WOUND)) {
+      const isEnemy = store.state.enemies.some(e => e.id === unit.id);
+      const name = current.shortName || current.name;
+      const damage = CONSTANTS.GAME.WOUND_DAMAGE;
+
+      if (isEnemy) {
+        store.damageEnemy(unit.id, damage, { ignoreShield: true });
+      } else {
+        store.damageCharacter(unit.id, damage);
+      }
+
+      const newHealth = Math.max(0, this.getUnit(unit.id, store.state)?.health ?? 0);
+      EventBus.emit('status:damage', {
+        name,
+        type: CONSTANTS.STATUS_EFFECTS.WOUND,
+        damage,
+        newHealth,
+        maxHealth: current.maxHealth,
+        position: current.position,
+      });
+
+      if (newHealth <= 0) {
+        EventBus.emit('unit:defeated', { name, isCharacter: !isEnemy });
+        return false;
+      }
+    }
+
+    return true;
+  },
+
+  /**
+   * Check if healing would remove a condition from the unit
+   */
+  isCurable(unit) {
+    return this.has(unit, CONSTANTS.STATUS_EFFECTS.POISON) || this.has(unit, CONSTANTS.STATUS_EFFECTS.WOUND);
+  },
+
+  /**
+   * Remove poison and wound after a heal
+   */
+  cure(target, store) {
+    const current = this.getUnit(target.id, store.state);
+    const types = [CONSTANTS.STATUS_EFFECTS.POISON, CONSTANTS.STATUS_EFFECTS.WOUND].filter(type => this.has(current, type));
+    if (types.length === 0) return;
+
+    store.removeEffects(target.id, types);
+    EventBus.emit('status:cured', { name: current.shortName || current.name, types });
+  },
+
+  /**
+   * Get the condition that prevents a unit from performing an action
+   * @returns {string|null} The blocking condition, or null if allowed
+   */
+  getBlockingStatus(unit, actionType) {
+    if (this.has(unit, CONSTANTS.STATUS_EFFECTS.STUN)) {
+      return CONSTANTS.STATUS_EFFECTS.STUN;
+    }
+    if (actionType === CONSTANTS.ACTION_TYPES.MOVE && this.has(unit, CONSTANTS.STATUS_EFFECTS.IMMOBILIZE)) {
+      return CONSTANTS.STATUS_EFFECTS.IMMOBILIZE;
+    }
+    const isAttack = actionType === CONSTANTS.ACTION_TYPES.ATTACK || actionType === CONSTANTS.ACTION_TYPES.PUSH;
+    if (isAttack && this.has(unit, CONSTANTS.STATUS_EFFECTS.DISARM)) {
+      return CONSTANTS.STATUS_EFFECTS.DISARM;
+    }
+    return null;
+  },
+
+  /**
+   * Check if a unit can be targeted by hostile attacks
+   */
+  isTargetable(unit) {
+    return !this.has(unit, CONSTANTS.STATUS_EFFECTS.INVISIBLE);
+  },
+
+  /**
+   * Extra damage dealt to a target by its conditions
+   */
+  getDamageBonus(target) {
+    return this.has(target, CONSTANTS.STATUS_EFFECTS.POISON) ? CONSTANTS.GAME.POISON_DAMAGE : 0;
+  },
+};
@@ -21,8 +21,10 @@ class Store {
   /**
    * Update state and notify listeners
    * Usage: store.setState({ enemies: newEnemies })
+   * Pass { replace: true } to swap top-level keys wholesale instead of
+   * deep-merging them, so fields missing from an update are dropped.
    */
-  setState(updates) {
+  setState(updates, { replace = false } = {}) {
     // Save to history for undo functionality (future feature)
     this._history.push(JSON.parse(JSON.stringify(this._state)));
     if (this._history.length > this._maxHistory) {
@@ -30,7 +32,7 @@ class Store {
     }
 
     // Merge updates into state
-    this._state = this._deepMerge(this._state, updates);
+    this._state = replace ? { ...this._state, ...updates } : this._deepMerge(this._state, updates);
 
     // Notify all listeners
     this._notify();
@@ -108,7 +110,7 @@ function createStore(config) {
     actions[name] = (...args) => {
       return fn.call({
         state: store.state,
-        setState: (updates) => store.setState(updates),
+        setState: (updates, options) => store.setState(updates, options),
       }, ...args);
     };
   }
@@ -123,7 +125,7 @@ function createStore(config) {
 
   return {
     get state() { return store.state; },
-    setState: (updates) => store.setState(updates),
+    setState: (updates, options) => store.setState(updates, options),
     subscribe: (listener) => store.subscribe(listener),
     reset: (newState) => store.reset(newState),
     undo: () => store.undo(),
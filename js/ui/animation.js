@@ -0,0 +1,114 @@
+/**
+ * UI rendering and DOM manipulation - Animation
+ * Unit tokens are always rendered at their store position; a moving unit
+ * is drawn offset back along its path until the tween reaches the end.
+ */
+
+Object.assign(UI, {
+  // Whether unit movement is animated (toggled by the player)
+  animateMoves: true,
+
+  // Current pixel offset of each unit still moving, keyed by unit id
+  moveOffsets: new Map(),
+
+  /**
+   * Check if any unit is still moving
+   */
+  isAnimating() {
+    return this.moveOffsets.size > 0;
+  },
+
+  /**
+   * Turn movement animations on or off. Turning them off finishes any
+   * animation in progress.
+   */
+  setAnimateMoves(enabled) {
+    this.animateMoves = enabled;
+    if (this.elements.toggleAnimations) {
+      this.elements.toggleAnimations.textContent = enabled ? 'Animations: On' : 'Animations: Off';
+    }
+  },
+
+  /**
+   * Tween a unit token hex by hex along the path it moved
+   * @param {string} unitId - Moving unit
+   * @param {Array} path - Hexes from the start to the unit's new position
+   * @returns {Promise} Resolves when the token reaches the end of the path
+   */
+  animateMove(unitId, path) {
+    if (!this.animateMoves || path.length < 2) return Promise.resolve();
+
+    const points = path.map(hex => this.getHexCenter(hex));
+    const end = points[points.length - 1];
+    const legs = points.length - 1;
+
+    const place = (progress) => {
+      const leg = Math.min(Math.floor(progress), legs - 1);
+      const t = progress - leg;
+      const from = points[leg];
+      const to = points[leg + 1];
+      this.setMoveOffset(unitId, {
+        x: from.x + (to.x - from.x) * t - end.x,
+        y: from.y + (to.y - from.y) * t - end.y,
+      });
+    };
+
+    // Draw the token back at the start before the next paint
+    place(0);
+
+    return new Promise(resolve => {
+      let startTime = null;
+
+      const frame = (now) => {
+        startTime ??= now;
+        const progress = (now - startTime) / CONSTANTS.TIMING.MOVE_STEP;
+
+        if (!this.animateMoves || progress >= legs) {
+          this.setMoveOffset(unitId, null);
+          resolve();
+          return;
+        }
+
+        place(progress);
+        requestAnimationFrame(frame);
+      };
+
+      requestAnimationFrame(frame);
+    });
+  },
+
+  /**
+   * Set (or clear, with null) a moving unit's offset and update its token
+   */
+  setMoveOffset(unitId, offset) {
+    if (offset) {
+      this.moveOffsets.set(unitId, offset);
+    } else {
+      this.moveOffsets.delete(unitId);
+    }
+
+    const token = this.elements.hexGrid?.querySelector(`.unit-token[data-id="${unitId}"]`);
+    if (token) this.applyMoveOffset(token, unitId);
+  },
+
+  /**
+   * Position a unit token according to its current move offset
+   */
+  applyMoveOffset(token, unitId) {
+    const offset = this.moveOffsets.get(unitId);
+    if (offset) {
+      token.setAttribute('transform', `translate(${offset.x} ${offset.y})`);
+    } else {
+      token.removeAttribute('transform');
+    }
+  },
+
+  /**
+   * Wait between enemy actions so the player can follow them. Resolves
+   * immediately when animations are off.
+   */
+  pause(ms) {
+    if (!this.animateMoves) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+});
@@ -12,54 +12,125 @@ Object.assign(UI, {
     switch (action.type) {
       case CONSTANTS.ACTION_TYPES.MOVE:
         tips.push(`Move up to ${action.value} hexes`);
+        if (action.jump) tips.push('Jump: passes over units, obstacles and terrain; only the landing hex counts');
+        if (action.flying) tips.push('Flying: passes over units and obstacles, unaffected by terrain and traps');
         break;
       case CONSTANTS.ACTION_TYPES.ATTACK:
         tips.push(`Deal ${action.value} damage`);
         if (action.range > 1) tips.push(`Range: ${action.range} hexes`);
         if (action.aoe) tips.push('Area of Effect: hits adjacent enemies');
         if (action.push) tips.push(`Push: knock target back ${action.push} hex(es)`);
-        if (action.stun) tips.push('Stun: target skips next turn');
+        if (action.pierce) tips.push(`Pierce: ignores ${action.pierce} shield`);
+        if (action.curse) tips.push('Curse: shuffles a MISS card into the enemy modifier deck');
         break;
       case CONSTANTS.ACTION_TYPES.HEAL:
         tips.push(`Restore ${action.value} health`);
         if (action.aoe) tips.push('Affects all allies');
         if (action.range > 0) tips.push(`Range: ${action.range} hexes`);
+        if (action.bless) tips.push("Bless: shuffles an x2 card into the target's modifier deck");
         break;
       case CONSTANTS.ACTION_TYPES.SHIELD:
         tips.push(`Grant ${action.value} temporary shield`);
         tips.push('Shield absorbs damage until end of round');
+        if (action.retaliate) tips.push(`Retaliate ${action.retaliate}: damages adjacent attackers this round`);
+        if (action.bless) tips.push("Bless: shuffles an x2 card into the target's modifier deck");
         break;
       case CONSTANTS.ACTION_TYPES.PUSH:
         tips.push(`Push enemy ${action.value} hexes away`);
-        tips.push('Blocked by walls and other units');
+        tips.push('Blocked by walls, obstacles and other units');
         break;
       case CONSTANTS.ACTION_TYPES.BUFF:
-        tips.push('Applies a beneficial effect');
+        if (action.effect === CONSTANTS.EFFECT_TYPES.ADVANTAGE) {
+          tips.push('Ally draws 2 modifiers on their next attack and keeps the better');
+        } else {
+          tips.push(`Ally deals +${action.value} damage on their next attack`);
+        }
+        tips.push('Lasts until used or the end of their next turn');
         break;
       case CONSTANTS.ACTION_TYPES.SPECIAL:
-        tips.push('Special ability');
+        switch (action.effect) {
+          case CONSTANTS.SPECIAL_EFFECTS.RECOVER_CARDS:
+            tips.push(`Return your ${action.value} most recently discarded cards to your hand`);
+            break;
+          case CONSTANTS.SPECIAL_EFFECTS.GROUP_MOVE:
+            tips.push(`Each ally moves up to ${action.value} hexes, one at a time`);
+            break;
+          case CONSTANTS.SPECIAL_EFFECTS.CANCEL_TURN:
+            tips.push('Choose an enemy that has not acted yet: it skips its turn this round');
+            break;
+          case CONSTANTS.SPECIAL_EFFECTS.IMMUNITY:
+            tips.push('Ignore all damage until the end of the round');
+            break;
+          default:
+            tips.push('Special ability');
+        }
         break;
       case CONSTANTS.ACTION_TYPES.TRAP:
-        tips.push('Place a trap on the battlefield');
+        tips.push('Set a trap on an empty adjacent hex');
+        tips.push(`Deals ${action.value} damage to the next unit entering it`);
         break;
     }
 
+    // Conditions applied to the action's target
+    for (const type of action.effects || []) {
+      tips.push(StatusEffects.DEFINITIONS[type].text);
+    }
+
     return tips.join(' • ');
   },
 
+  /**
+   * Get short display label for an active effect
+   * @param {Object} effect - Effect data {type, value, duration}
+   * @returns {String} Badge label
+   */
+  getEffectLabel(effect) {
+    switch (effect.type) {
+      case CONSTANTS.EFFECT_TYPES.ATTACK_BONUS:
+        return `+${effect.value} ATK`;
+      case CONSTANTS.EFFECT_TYPES.ADVANTAGE:
+        return 'ADV';
+      case CONSTANTS.EFFECT_TYPES.IMMUNE:
+        return 'IMMUNE';
+      case CONSTANTS.EFFECT_TYPES.RETALIATE:
+        return `RET ${effect.value}`;
+      default:
+        return effect.type.toUpperCase();
+    }
+  },
+
+  /**
+   * Render Bless/Curse counts for a modifier deck
+   * @param {Object} deckState - Modifier deck state
+   * @returns {String} Badge HTML (empty when the deck holds none)
+   */
+  renderModifierBadges(deckState) {
+    if (!deckState) return '';
+
+    const bless = ModifierDeck.countTemporary(deckState, CONSTANTS.MODIFIER_CARDS.BLESS);
+    const curse = ModifierDeck.countTemporary(deckState, CONSTANTS.MODIFIER_CARDS.CURSE);
+
+    return [
+      bless > 0 ? `<span class="modifier-badge bless" title="BLESS (x2) cards in modifier deck">BLESS ${bless}</span>` : '',
+      curse > 0 ? `<span class="modifier-badge curse" title="CURSE (MISS) cards in modifier deck">CURSE ${curse}</span>` : '',
+    ].join('');
+  },
+
   /**
    * Render character portraits
    * @param {Array} characters - Character data
+   * @param {Object} modifierDecks - Modifier deck states keyed by deck id
    */
-  renderCharacterPortraits(characters) {
+  renderCharacterPortraits(characters, modifierDecks = {}) {
     const container = this.elements.characterPortraits;
     if (!container) return;
 
     container.innerHTML = '';
 
     characters.forEach(character => {
+      const stunned = StatusEffects.has(character, CONSTANTS.STATUS_EFFECTS.STUN);
       const portrait = document.createElement('div');
-      portrait.className = 'character-portrait';
+      portrait.className = `character-portrait${stunned ? ' stunned' : ''}`;
       portrait.dataset.id = character.id;
 
       const healthPercent = (character.health / character.maxHealth) * 100;
@@ -74,23 +145,64 @@ Object.assign(UI, {
           <span class="health-text">${character.health}/${character.maxHealth}</span>
         </div>
         ${character.shield > 0 ? `<div class="character-shield">Shield: ${character.shield}</div>` : ''}
+        ${stunned ? '<div class="character-stunned">STUNNED - skips next turn</div>' : ''}
+        ${character.effects.length > 0 ? `
+          <div class="character-effects">
+            ${character.effects.map(e => `<span class="effect-badge" title="From ${e.source}">${this.getEffectLabel(e)}</span>`).join('')}
+          </div>
+        ` : ''}
+        ${this.renderModifierBadges(modifierDecks[character.id])}
       `;
 
       container.appendChild(portrait);
     });
+
+    // Enemies share the monster deck
+    const monsterBadges = this.renderModifierBadges(modifierDecks.monster);
+    if (monsterBadges) {
+      const monsterRow = document.createElement('div');
+      monsterRow.className = 'monster-deck-status';
+      monsterRow.innerHTML = `<span class="monster-deck-label">Enemy deck</span>${monsterBadges}`;
+      container.appendChild(monsterRow);
+    }
   },
 
   /**
    * Update room indicator
    * @param {Number} roomNumber - Current room (1-3)
    * @param {String} roomName - Room name
+   * @param {Number} level - Enemy level in the room
    */
-  updateRoomIndicator(roomNumber, roomName) {
+  updateRoomIndicator(roomNumber, roomName, level) {
     if (this.elements.roomName) {
       this.elements.roomName.textContent = roomName;
     }
     if (this.elements.roomProgress) {
-      this.elements.roomProgress.textContent = `Room ${roomNumber}/${CONSTANTS.GAME.TOTAL_ROOMS}`;
+      this.elements.roomProgress.textContent = `Room ${roomNumber}/${CONSTANTS.GAME.TOTAL_ROOMS} · Level ${level}`;
+    }
+  },
+
+  /**
+   * Render the difficulty choice on the mission brief
+   * @param {String} selected - Current difficulty id
+   * @param {Function} onSelect - Called with the chosen difficulty id
+   */
+  renderDifficultyOptions(selected, onSelect) {
+    const container = this.elements.difficultyOptions;
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    for (const [id, difficulty] of Object.entries(GameData.difficulties)) {
+      const button = document.createElement('button');
+      button.className = `btn-secondary difficulty-option${id === selected ? ' active' : ''}`;
+      button.textContent = difficulty.name;
+      button.addEventListener('click', () => onSelect(id));
+      container.appendChild(button);
+    }
+
+    if (this.elements.difficultyDescription) {
+      this.elements.difficultyDescription.textContent = GameData.difficulties[selected]?.description || '';
     }
   },
 
@@ -298,28 +410,140 @@ Object.assign(UI, {
     });
   },
 
+  /**
+   * Describe an enemy ability card's stat changes and specials
+   */
+  getAbilityText(card) {
+    const signed = (value) => (value >= 0 ? `+${value}` : `${value}`);
+    return [
+      `Move ${signed(card.move)}`,
+      `Attack ${signed(card.attack)}`,
+      card.range ? `Range ${signed(card.range)}` : '',
+      card.pierce ? `Pierce ${card.pierce}` : '',
+      card.retaliate ? `Retaliate ${card.retaliate}` : '',
+      ...(card.effects || []).map(type => type.charAt(0).toUpperCase() + type.slice(1)),
+      card.script ? `Special: ${Combat.getBossScriptName(card.script)}` : '',
+    ].filter(Boolean).join(', ');
+  },
+
   /**
    * Render initiative tracker
    * @param {Array} turnOrder - Turn order array [{unit, type, initiative}]
    * @param {Number} currentIndex - Current turn index
+   * @param {Object} state - Game state, to show each unit's current conditions
    */
-  renderInitiativeTracker(turnOrder, currentIndex) {
+  renderInitiativeTracker(turnOrder, currentIndex, state = null) {
     const container = this.elements.initiativeList;
     if (!container) return;
 
     container.innerHTML = '';
 
     turnOrder.forEach((entry, index) => {
+      // Units still stunned when their turn comes up will skip it
+      const unit = state ? StatusEffects.getUnit(entry.unit.id, state) : null;
+      const stunned = entry.stunned || (index >= currentIndex && StatusEffects.has(unit, CONSTANTS.STATUS_EFFECTS.STUN));
+      const skipped = entry.cancelled || stunned;
+
       const item = document.createElement('div');
-      item.className = `initiative-item ${index === currentIndex ? 'active' : ''}`;
+      item.className = `initiative-item ${index === currentIndex ? 'active' : ''}${skipped ? ' cancelled' : ''}`;
+
+      // Enemies show the ability card their type drew this round
+      const ability = entry.ability ? `
+        <span class="initiative-ability" title="${this.getAbilityText(entry.ability)}">
+          ${entry.ability.name}${entry.ability.shuffle ? ' <span class="shuffle-icon" title="Ability deck reshuffles at the end of the round">⟳</span>' : ''}
+        </span>
+      ` : '';
 
       item.innerHTML = `
         <span class="initiative-number">${entry.initiative}</span>
-        <span class="initiative-name">${entry.unit.name || entry.unit.shortName}</span>
-        <span class="initiative-type">${entry.type}</span>
+        <span class="initiative-name">${entry.unit.name || entry.unit.shortName}${ability}</span>
+        <span class="initiative-type">${stunned ? 'stunned' : entry.cancelled ? 'skipped' : entry.extraTurn ? 'again' : entry.unit.boss ? 'boss' : entry.unit.elite ? 'elite' : entry.type}</span>
       `;
 
       container.appendChild(item);
     });
   },
+
+  /**
+   * Show the boss health bar, with a marker where each later phase begins
+   * @param {Object|null} boss - Boss in the room, or null to hide the bar
+   */
+  renderBossHealth(boss) {
+    const panel = this.elements.bossHealth;
+    if (!panel) return;
+
+    panel.classList.toggle('hidden', !boss);
+    if (!boss) return;
+
+    const template = GameData.enemies[boss.type];
+    const phases = template.phases || [];
+    const percent = (value) => Math.max(0, Math.min(100, value * 100));
+    const markers = phases.slice(1).map(phase => `
+      <span class="boss-phase-marker" style="left: ${percent(phase.threshold)}%" title="${phase.name}"></span>
+    `).join('');
+    const immunities = boss.immunities.map(type => type.toUpperCase()).join(', ');
+
+    panel.innerHTML = `
+      <div class="boss-health-header">
+        <span class="boss-name">${boss.name}</span>
+        <span class="boss-phase">${phases[boss.phase]?.name || ''}</span>
+      </div>
+      <div class="boss-health-track">
+        <div class="boss-health-fill" style="width: ${percent(boss.health / boss.maxHealth)}%"></div>
+        ${markers}
+      </div>
+      <div class="boss-health-details">
+        <span>HP ${boss.health}/${boss.maxHealth}${boss.shield > 0 ? ` · Shield ${boss.shield}` : ''}</span>
+        ${immunities ? `<span class="boss-immunities">Immune: ${immunities}</span>` : ''}
+      </div>
+    `;
+  },
+
+  /**
+   * Show the attack forecast panel for a hovered target
+   * @param {Object} target - Enemy being hovered
+   * @param {Object} forecast - Result of Combat.forecastAttack
+   */
+  renderAttackForecast(target, forecast) {
+    const panel = this.elements.attackForecast;
+    if (!panel) return;
+
+    const percent = (chance) => `${Math.round(chance * 100)}%`;
+    const modifiers = [
+      forecast.bonusDamage > 0 ? `+${forecast.bonusDamage} buffs` : '',
+      forecast.conditionBonus > 0 ? `+${forecast.conditionBonus} poison` : '',
+      forecast.shield > 0 ? `-${forecast.shield} shield` : '',
+      forecast.mode !== CONSTANTS.DRAW_MODES.NORMAL ? forecast.mode : '',
+    ].filter(Boolean);
+
+    const pushText = forecast.push
+      ? (forecast.push.distance > 0
+        ? `Push ${forecast.push.distance} to (${forecast.push.position.q}, ${forecast.push.position.r}) if it survives`
+        : 'Push blocked')
+      : '';
+    const pushWarnings = forecast.push?.warnings.map(w => `Pushed into ${w.type === 'trap' ? 'a trap' : 'hazardous terrain'}`) || [];
+
+    panel.innerHTML = `
+      <div class="forecast-title">${target.name} (${target.health}/${target.maxHealth})</div>
+      <div class="forecast-row">Base damage: ${forecast.baseDamage}${modifiers.length > 0 ? ` (${modifiers.join(', ')})` : ''}</div>
+      <div class="forecast-row">Expected damage: ${forecast.expectedDamage.toFixed(1)}</div>
+      <div class="forecast-row forecast-kill">Kill chance: ${percent(forecast.killChance)}</div>
+      <table class="forecast-deck">
+        ${forecast.outcomes.map(o => `
+          <tr><td>${o.label}</td><td>${percent(o.chance)}</td><td>${o.damage} dmg</td></tr>
+        `).join('')}
+      </table>
+      ${forecast.aoeTargets.length > 0 ? `<div class="forecast-row">Also hits: ${forecast.aoeTargets.map(e => e.name).join(', ')}</div>` : ''}
+      ${pushText ? `<div class="forecast-row">${pushText}</div>` : ''}
+      ${pushWarnings.map(w => `<div class="forecast-row forecast-warning">${w}</div>`).join('')}
+    `;
+    panel.classList.remove('hidden');
+  },
+
+  /**
+   * Hide the attack forecast panel
+   */
+  hideAttackForecast() {
+    this.elements.attackForecast?.classList.add('hidden');
+  },
 });
@@ -15,9 +15,11 @@ const UI = {
   // Grid offset for centering
   gridOffset: { x: CONSTANTS.GRID.OFFSET.x, y: CONSTANTS.GRID.OFFSET.y },
 
-  // Click handlers (set by Game)
+  // Click, hover and drag handlers (set by Game)
   onHexClick: null,
   onUnitClick: null,
+  onHexHover: null,
+  onHexDragStart: null,
 
   /**
    * Initialize UI elements
@@ -40,15 +42,29 @@ const UI = {
       initiativeList: document.getElementById('initiative-list'),
       logMessages: document.getElementById('log-messages'),
       startMission: document.getElementById('start-mission'),
+      difficultyOptions: document.getElementById('difficulty-options'),
+      difficultyDescription: document.getElementById('difficulty-description'),
+      toggleLookahead: document.getElementById('toggle-lookahead'),
       restartGame: document.getElementById('restart-game'),
       retryMission: document.getElementById('retry-mission'),
       gateAddress: document.getElementById('gate-address'),
       roomName: document.getElementById('room-name'),
       roomProgress: document.getElementById('room-progress'),
+      toggleAnimations: document.getElementById('toggle-animations'),
+      attackForecast: document.getElementById('attack-forecast'),
+      bossHealth: document.getElementById('boss-health'),
+      toggleIntent: document.getElementById('toggle-intent'),
     };
 
     // Initialize panel toggle buttons
     this.initPanelToggles();
+
+    // Leaving the grid ends any hover preview
+    this.elements.hexGrid?.addEventListener('mouseleave', () => {
+      if (this.onHexHover) {
+        this.onHexHover(null);
+      }
+    });
   },
 
   /**
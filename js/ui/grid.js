@@ -43,8 +43,9 @@ Object.assign(UI, {
    * @param {Array} characters - Character data
    * @param {Array} enemies - Enemy data
    * @param {Array} highlightedHexes - Hexes to highlight
+   * @param {Array} traps - Trap tokens in the room
    */
-  renderHexGrid(room, characters, enemies, highlightedHexes = []) {
+  renderHexGrid(room, characters, enemies, highlightedHexes = [], traps = []) {
     const svg = this.elements.hexGrid;
     if (!svg) return;
 
@@ -66,10 +67,22 @@ Object.assign(UI, {
     const tilesGroup = this.createSVGElement('g', { id: 'tiles-layer' });
     svg.appendChild(tilesGroup);
 
+    // Create a group for trap tokens
+    const trapsGroup = this.createSVGElement('g', { id: 'traps-layer' });
+    svg.appendChild(trapsGroup);
+
     // Create a group for highlights
     const highlightGroup = this.createSVGElement('g', { id: 'highlight-layer' });
     svg.appendChild(highlightGroup);
 
+    // Create a group for the move route preview
+    const pathGroup = this.createSVGElement('g', { id: 'path-layer' });
+    svg.appendChild(pathGroup);
+
+    // Create a group for enemy intent arrows
+    const intentGroup = this.createSVGElement('g', { id: 'intent-layer' });
+    svg.appendChild(intentGroup);
+
     // Create a group for units
     const unitsGroup = this.createSVGElement('g', { id: 'units-layer' });
     svg.appendChild(unitsGroup);
@@ -87,10 +100,6 @@ Object.assign(UI, {
     characters.forEach(c => occupiedPositions.add(HexMath.key(c.position)));
     enemies.forEach(e => occupiedPositions.add(HexMath.key(e.position)));
 
-    // Build set of wall positions
-    const wallPositions = new Set();
-    (room.walls || []).forEach(w => wallPositions.add(HexMath.key(w)));
-
     // Build set of highlighted positions
     const highlightedPositions = new Set();
     highlightedHexes.forEach(h => highlightedPositions.add(HexMath.key(h.hex || h)));
@@ -102,15 +111,13 @@ Object.assign(UI, {
         const key = HexMath.key(hex);
 
         // Determine tile type
-        let tileType = 'floor';
-        if (wallPositions.has(key)) {
-          tileType = 'wall';
-        }
+        const tile = RoomLayout.getTile(room, hex);
+        const kindClass = tile.kind ? ` ${tile.type}--${tile.kind}` : '';
 
         // Create hex polygon
         const polygon = this.createSVGElement('polygon', {
           points: this.getHexPoints(hex),
-          class: `hex-polygon ${tileType}`,
+          class: `hex-polygon ${tile.type}${kindClass}`,
           'data-q': q,
           'data-r': r,
         });
@@ -124,10 +131,28 @@ Object.assign(UI, {
 
         hexGroup.appendChild(polygon);
 
-        // Add click handler
-        hexGroup.addEventListener('click', () => {
+        // Name obstacles and decorations on hover
+        if (tile.kind) {
+          const title = this.createSVGElement('title');
+          const label = RoomLayout.LABELS[tile.kind] || tile.kind;
+          title.textContent = tile.type === CONSTANTS.TILE_TYPES.OBSTACLE ? `${label} (blocks movement)` : label;
+          hexGroup.appendChild(title);
+        }
+
+        // Add click, hover and drag handlers
+        hexGroup.addEventListener('click', (e) => {
           if (this.onHexClick) {
-            this.onHexClick(hex);
+            this.onHexClick(hex, e);
+          }
+        });
+        hexGroup.addEventListener('mouseenter', () => {
+          if (this.onHexHover) {
+            this.onHexHover(hex);
+          }
+        });
+        hexGroup.addEventListener('mousedown', () => {
+          if (this.onHexDragStart) {
+            this.onHexDragStart(hex);
           }
         });
 
@@ -151,6 +176,11 @@ Object.assign(UI, {
       }
     }
 
+    // Render traps
+    traps.forEach(trap => {
+      this.renderTrap(trapsGroup, trap);
+    });
+
     // Render artifact if in room 3
     if (room.artifactPosition) {
       this.renderArtifact(unitsGroup, room.artifactPosition);
@@ -178,7 +208,9 @@ Object.assign(UI, {
     const radius = this.hexSize * CONSTANTS.UI.UNIT_TOKEN_RADIUS_FRACTION;
 
     // Determine enemy subtype class
-    const enemyClass = type === CONSTANTS.UNIT_TYPES.ENEMY ? (unit.ai === CONSTANTS.AI_TYPES.RANGED ? 'ranged' : 'melee') : '';
+    const enemyClass = type === CONSTANTS.UNIT_TYPES.ENEMY
+      ? (unit.boss ? 'boss' : unit.ai === CONSTANTS.AI_TYPES.RANGED ? 'ranged' : 'melee')
+      : '';
 
     // Create unit group
     const unitGroup = this.createSVGElement('g', {
@@ -186,6 +218,27 @@ Object.assign(UI, {
       'data-id': unit.id,
       'data-type': type,
     });
+    if (this.moveOffsets.has(unit.id)) {
+      this.applyMoveOffset(unitGroup, unit.id);
+    }
+
+    // Elite enemies get a gold ring around the token, bosses a double one
+    if (unit.elite || unit.boss) {
+      unitGroup.appendChild(this.createSVGElement('circle', {
+        cx: center.x,
+        cy: center.y,
+        r: radius + 4,
+        class: 'elite-ring',
+      }));
+    }
+    if (unit.boss) {
+      unitGroup.appendChild(this.createSVGElement('circle', {
+        cx: center.x,
+        cy: center.y,
+        r: radius + 8,
+        class: 'elite-ring boss-ring',
+      }));
+    }
 
     // Unit circle
     const circle = this.createSVGElement('circle', {
@@ -199,8 +252,14 @@ Object.assign(UI, {
     // Add tooltip
     const title = this.createSVGElement('title');
     if (type === CONSTANTS.UNIT_TYPES.ENEMY) {
-      const behavior = unit.ai === CONSTANTS.AI_TYPES.RANGED ? 'Ranged, keeps distance' : 'Melee, charges in';
-      title.textContent = `${unit.name} | HP: ${unit.health}/${unit.maxHealth} | ATK: ${unit.attack} | ${behavior}`;
+      const behavior = {
+        [CONSTANTS.AI_TYPES.RANGED]: 'Ranged, keeps distance',
+        [CONSTANTS.AI_TYPES.BOSS]: 'Boss, stands its ground',
+      }[unit.ai] || 'Melee, charges in';
+      const moveText = unit.moveMode && unit.moveMode !== CONSTANTS.MOVE_MODES.NORMAL ? ` | ${unit.moveMode === CONSTANTS.MOVE_MODES.JUMP ? 'Jump' : 'Flying'}` : '';
+      const shieldText = unit.shield > 0 ? ` | Shield: ${unit.shield}` : '';
+      const retaliateText = unit.retaliate > 0 ? ` | Retaliate: ${unit.retaliate}` : '';
+      title.textContent = `${unit.elite ? 'Elite ' : ''}${unit.name} | HP: ${unit.health}/${unit.maxHealth} | ATK: ${unit.attack}${shieldText}${retaliateText}${moveText} | ${behavior}`;
     } else {
       const shieldText = unit.shield > 0 ? ` | Shield: ${unit.shield}` : '';
       title.textContent = `${unit.name} | HP: ${unit.health}/${unit.maxHealth}${shieldText}`;
@@ -229,6 +288,19 @@ Object.assign(UI, {
     healthText.textContent = `${unit.health}/${unit.maxHealth}`;
     unitGroup.appendChild(healthText);
 
+    // Innate enemy shield marker
+    if (type === CONSTANTS.UNIT_TYPES.ENEMY && unit.shield > 0) {
+      const shieldText = this.createSVGElement('text', {
+        x: center.x + radius,
+        y: center.y - radius + 4,
+        class: 'unit-shield',
+      });
+      shieldText.textContent = `+${unit.shield}`;
+      unitGroup.appendChild(shieldText);
+    }
+
+    this.renderStatusIcons(unitGroup, unit, center, radius);
+
     // Click handler
     unitGroup.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -237,9 +309,240 @@ Object.assign(UI, {
       }
     });
 
+    // Hovering or pressing a token counts as its hex (route drags start on the mover)
+    unitGroup.addEventListener('mouseenter', () => {
+      if (this.onHexHover) {
+        this.onHexHover(unit.position);
+      }
+    });
+    unitGroup.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      if (this.onHexDragStart) {
+        this.onHexDragStart(unit.position);
+      }
+    });
+
     parent.appendChild(unitGroup);
   },
 
+  /**
+   * Draw a move route with step counts, waypoints and trap/hazard warnings
+   * @param {Object} preview - Route from Game.getMovePreview
+   */
+  renderMovePath(preview) {
+    const layer = this.elements.hexGrid?.querySelector('#path-layer');
+    if (!layer) return;
+
+    layer.innerHTML = '';
+    if (preview.path.length < 2) return;
+
+    const points = preview.path.map(hex => {
+      const center = this.getHexCenter(hex);
+      return `${center.x},${center.y}`;
+    }).join(' ');
+    layer.appendChild(this.createSVGElement('polyline', {
+      points,
+      class: preview.valid ? 'move-path' : 'move-path move-path--invalid',
+    }));
+
+    // Movement spent on reaching each hex
+    preview.path.slice(1).forEach((hex, i) => {
+      const center = this.getHexCenter(hex);
+      const step = this.createSVGElement('text', {
+        x: center.x,
+        y: center.y + 4,
+        class: 'move-path-step',
+      });
+      step.textContent = preview.steps[i + 1];
+      layer.appendChild(step);
+    });
+
+    preview.waypoints.forEach(hex => {
+      const center = this.getHexCenter(hex);
+      layer.appendChild(this.createSVGElement('circle', {
+        cx: center.x,
+        cy: center.y,
+        r: this.hexSize * 0.35,
+        class: 'move-path-waypoint',
+      }));
+    });
+
+    preview.warnings.forEach(({ hex, type }) => {
+      const center = this.getHexCenter(hex);
+      const warning = this.createSVGElement('text', {
+        x: center.x,
+        y: center.y - this.hexSize * 0.45,
+        class: `move-path-warning move-path-warning--${type}`,
+      });
+      warning.textContent = type === 'trap' ? '⚠ TRAP' : '⚠ HAZARD';
+      layer.appendChild(warning);
+    });
+
+    // Tell the player when another equally short route exists
+    if (preview.routes > 1) {
+      const end = this.getHexCenter(preview.path[preview.path.length - 1]);
+      const hint = this.createSVGElement('text', {
+        x: end.x,
+        y: end.y + this.hexSize * 0.75,
+        class: 'move-path-hint',
+      });
+      hint.textContent = `${preview.routes} routes: shift-click to set waypoints`;
+      layer.appendChild(hint);
+    }
+  },
+
+  /**
+   * Draw each enemy's planned move as an arrow and its attack as a line
+   * to the target
+   * @param {Array} intents - Result of EnemyAI.projectIntents
+   */
+  renderEnemyIntents(intents) {
+    const layer = this.elements.hexGrid?.querySelector('#intent-layer');
+    if (!layer) return;
+
+    layer.innerHTML = '';
+
+    const defs = this.createSVGElement('defs');
+    const marker = this.createSVGElement('marker', {
+      id: 'intent-arrowhead',
+      viewBox: '0 0 10 10',
+      refX: 8,
+      refY: 5,
+      markerWidth: 6,
+      markerHeight: 6,
+      orient: 'auto-start-reverse',
+    });
+    marker.appendChild(this.createSVGElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', class: 'intent-arrowhead' }));
+    defs.appendChild(marker);
+    layer.appendChild(defs);
+
+    for (const intent of intents) {
+      if (!HexMath.equals(intent.from, intent.to)) {
+        const from = this.getHexCenter(intent.from);
+        const to = this.getHexCenter(intent.to);
+        const arrow = this.createSVGElement('line', {
+          x1: from.x,
+          y1: from.y,
+          x2: to.x,
+          y2: to.y,
+          class: 'intent-move',
+          'marker-end': 'url(#intent-arrowhead)',
+        });
+        layer.appendChild(arrow);
+      }
+
+      // Enemies that cannot attack yet still show who they are heading for
+      const focus = intent.target || intent.focus;
+      if (focus) {
+        const from = this.getHexCenter(intent.to);
+        const to = this.getHexCenter(focus.position);
+        const line = this.createSVGElement('line', {
+          x1: from.x,
+          y1: from.y,
+          x2: to.x,
+          y2: to.y,
+          class: intent.target ? 'intent-attack' : 'intent-focus',
+        });
+        layer.appendChild(line);
+      }
+    }
+  },
+
+  /**
+   * Show whether the enemy intent display is on, and whether it is only
+   * approximate (the lookahead AI may choose differently)
+   */
+  setIntentButtonActive(active, approximate = false) {
+    const button = this.elements.toggleIntent;
+    if (!button) return;
+
+    button.classList.toggle('active', active);
+    button.textContent = approximate ? 'Show Intent (approx.)' : 'Show Intent';
+    button.title = approximate
+      ? 'Show roughly what each enemy plans to do this round: the lookahead AI may choose differently'
+      : 'Show what each enemy plans to do this round';
+  },
+
+  /**
+   * Remove the move route preview
+   */
+  clearMovePath() {
+    const layer = this.elements.hexGrid?.querySelector('#path-layer');
+    if (layer) layer.innerHTML = '';
+  },
+
+  /**
+   * Render a row of condition icons above a unit token
+   * @param {SVGElement} parent - Unit token group
+   * @param {Object} unit - Unit data
+   * @param {Object} center - Token center {x, y}
+   * @param {number} radius - Token radius
+   */
+  renderStatusIcons(parent, unit, center, radius) {
+    const statuses = StatusEffects.getStatuses(unit);
+    const iconRadius = 6;
+    const spacing = iconRadius * 2 + 2;
+    const startX = center.x - ((statuses.length - 1) * spacing) / 2;
+
+    statuses.forEach((effect, index) => {
+      const x = startX + index * spacing;
+      const y = center.y - radius - iconRadius;
+      const icon = this.createSVGElement('g', { class: `status-icon status-icon--${effect.type}` });
+
+      icon.appendChild(this.createSVGElement('circle', { cx: x, cy: y, r: iconRadius }));
+
+      const glyph = this.createSVGElement('text', { x, y });
+      glyph.textContent = StatusEffects.DEFINITIONS[effect.type].icon;
+      icon.appendChild(glyph);
+
+      const title = this.createSVGElement('title');
+      title.textContent = StatusEffects.DEFINITIONS[effect.type].text;
+      icon.appendChild(title);
+
+      parent.appendChild(icon);
+    });
+  },
+
+  /**
+   * Render trap token
+   * @param {SVGElement} parent - Parent SVG group
+   * @param {Object} trap - Trap data {position, damage}
+   */
+  renderTrap(parent, trap) {
+    const center = this.getHexCenter(trap.position);
+    const size = this.hexSize * 0.35;
+
+    const trapGroup = this.createSVGElement('g', {
+      class: 'trap-token',
+    });
+
+    const points = [];
+    for (let i = 0; i < 6; i++) {
+      const angle = (Math.PI / 3) * i + Math.PI / 6;
+      points.push(`${center.x + size * Math.cos(angle)},${center.y + size * Math.sin(angle)}`);
+    }
+
+    const body = this.createSVGElement('polygon', {
+      points: points.join(' '),
+      class: 'trap-body',
+    });
+    trapGroup.appendChild(body);
+
+    const label = this.createSVGElement('text', {
+      x: center.x,
+      y: center.y,
+      class: 'trap-label',
+    });
+    label.textContent = trap.damage;
+    trapGroup.appendChild(label);
+
+    const title = this.createSVGElement('title', {});
+    title.textContent = `Trap: ${trap.damage} damage to any unit entering this hex`;
+    trapGroup.appendChild(title);
+
+    parent.appendChild(trapGroup);
+  },
+
   /**
    * Render artifact token
    * @param {SVGElement} parent - Parent SVG group
@@ -288,8 +591,9 @@ Object.assign(UI, {
    * @param {Object} position - Hex coordinates {q, r}
    * @param {number|string} value - Number to display
    * @param {string} type - 'damage', 'heal', or 'shield'
+   * @param {number} offsetY - Extra vertical offset, so numbers shown together don't overlap
    */
-  showFloatingNumber(position, value, type) {
+  showFloatingNumber(position, value, type, offsetY = 0) {
     const svg = this.elements.hexGrid;
     if (!svg) return;
 
@@ -301,7 +605,7 @@ Object.assign(UI, {
 
     const text = this.createSVGElement('text', {
       x: center.x + randomOffsetX,
-      y: center.y + CONSTANTS.FLOATING_NUMBER.OFFSET_Y,
+      y: center.y + CONSTANTS.FLOATING_NUMBER.OFFSET_Y + offsetY,
       class: `floating-number floating-number--${type}`,
     });
     text.textContent = value;
@@ -313,12 +617,28 @@ Object.assign(UI, {
     });
   },
 
+  /**
+   * Get the popup CSS class for a modifier card
+   * @param {Object} modifier - Modifier card {value, type, label}
+   * @returns {String} CSS modifier class
+   */
+  getModifierClass(modifier) {
+    if (modifier.type === 'null') return 'modifier-popup--null';
+    if (modifier.type === 'multiply') return 'modifier-popup--critical';
+    if (modifier.value < 0) return 'modifier-popup--negative';
+    if (modifier.value === 0) return 'modifier-popup--null';
+    return 'modifier-popup--positive';
+  },
+
   /**
    * Show a modifier popup above a unit
+   * With advantage/disadvantage both drawn cards are shown side by side
+   * and the discarded one is struck through.
    * @param {Object} position - Hex coordinates {q, r}
-   * @param {Object} modifier - Modifier card {value, type, label}
+   * @param {Object} modifier - Applied modifier card {value, type, label}
+   * @param {Array} drawn - Every card drawn for the attack (defaults to just the applied one)
    */
-  showModifierPopup(position, modifier) {
+  showModifierPopup(position, modifier, drawn = [modifier]) {
     const svg = this.elements.hexGrid;
     if (!svg) return;
 
@@ -326,30 +646,23 @@ Object.assign(UI, {
     if (!effectsLayer) return;
 
     const center = this.getHexCenter(position);
-
-    // Determine CSS class based on modifier type
-    let modClass = 'modifier-popup--positive';
-    if (modifier.type === 'null') {
-      modClass = 'modifier-popup--null';
-    } else if (modifier.type === 'multiply') {
-      modClass = 'modifier-popup--critical';
-    } else if (modifier.value < 0) {
-      modClass = 'modifier-popup--negative';
-    } else if (modifier.value === 0) {
-      modClass = 'modifier-popup--null';
-    }
-
-    const text = this.createSVGElement('text', {
-      x: center.x,
-      y: center.y + CONSTANTS.FLOATING_NUMBER.OFFSET_Y - 20,
-      class: `modifier-popup ${modClass}`,
-    });
-    text.textContent = modifier.label;
-
-    effectsLayer.appendChild(text);
-
-    text.addEventListener('animationend', () => {
-      text.remove();
+    const spacing = 28;
+    const startX = center.x - (spacing * (drawn.length - 1)) / 2;
+
+    drawn.forEach((card, index) => {
+      const discardedClass = card === modifier ? '' : ' modifier-popup--discarded';
+      const text = this.createSVGElement('text', {
+        x: startX + spacing * index,
+        y: center.y + CONSTANTS.FLOATING_NUMBER.OFFSET_Y - 20,
+        class: `modifier-popup ${this.getModifierClass(card)}${discardedClass}`,
+      });
+      text.textContent = card.label;
+
+      effectsLayer.appendChild(text);
+
+      text.addEventListener('animationend', () => {
+        text.remove();
+      });
     });
   },
 